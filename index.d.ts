@@ -7,6 +7,7 @@ import {
   Page,
   PageQueryBuilder,
   QueryBuilder,
+  RawBuilder,
   RelationExpression,
   SingleQueryBuilder,
 } from 'objection';
@@ -19,13 +20,80 @@ interface FilterFn<M extends Model> {
   };
 }
 
+/**
+ * The filters of property references for `allow` and `deny`. `true` means all filters.
+ */
+export interface PropertyFilters {
+  [propertyRef: string]: string | string[] | true;
+}
+
+/**
+ * An expression of a field inside a JSON column. objection.js converts it into SQL
+ * for the database of the query.
+ */
+export interface JsonFieldExpression {
+  // eslint-disable-next-line
+  toKnexRaw(builder: QueryBuilder<Model>): any;
+}
+
+/**
+ * The options of `config`, of the model's static `findConfig` and of `findQuery`.
+ */
+export interface FindConfig<M extends Model> {
+  allow?: string | PropertyFilters | (string | PropertyFilters)[] | null;
+  allowFilter?: string | PropertyFilters | (string | PropertyFilters)[] | null;
+  allowOrderBy?: string | PropertyFilters | (string | PropertyFilters)[] | null;
+  allowGroupBy?: string | PropertyFilters | (string | PropertyFilters)[] | null;
+  deny?: string | PropertyFilters | (string | PropertyFilters)[] | null;
+  allowSelect?: string | string[] | null;
+  allowEager?: RelationExpression<M> | null;
+  searchProperties?:
+    | string
+    | string[]
+    | { properties: string | string[]; orderByRelevance?: boolean }
+    | null;
+  filters?: { [filterName: string]: FilterFn<M> } | null;
+  specialParameters?: { [name: string]: string } | null;
+  aliases?: { [publicName: string]: string } | null;
+  strictAliases?: boolean | null;
+  collectErrors?: boolean | null;
+  clock?: (() => Date) | null;
+  defaultRange?: number | null;
+  maxRange?: number | { size: number; clamp?: boolean } | null;
+  // eslint-disable-next-line
+  defaults?: Record<string, any> | null;
+  // eslint-disable-next-line
+  forcedDefaults?: Record<string, any> | null;
+  scope?: ScopeFn | ScopeFn[] | null;
+  // eslint-disable-next-line
+  where?: Record<string, any> | any[] | null;
+}
+
+/**
+ * A function that adds the server's conditions to the query of `modelClass`. `table` is the
+ * table name or alias of the model in the query.
+ */
+export interface ScopeFn {
+  // eslint-disable-next-line
+  (builder: QueryBuilder<any>, modelClass: ModelClass<any>, table: string): void;
+}
+
+/**
+ * The result of a query built with the `after` or `before` cursor parameters.
+ */
+export interface CursorPage<M extends Model> {
+  results: M[];
+  nextCursor: string | null;
+  previousCursor: string | null;
+}
+
 export class FindQueryBuilder<M extends Model, R = M[]> {
   ArrayQueryBuilderType: FindQueryBuilder<M>;
   SingleQueryBuilderType: FindQueryBuilder<M, M>;
   NumberQueryBuilderType: FindQueryBuilder<M, number>;
   PageQueryBuilderType: FindQueryBuilder<M, Page<M>>;
 
-  constructor(model: M);
+  constructor(model: M, config?: FindConfig<M>);
 
   /**
    * Use this method to whitelist property references.
@@ -36,9 +104,51 @@ export class FindQueryBuilder<M extends Model, R = M[]> {
    * ```js
    * findQuery(Person).allow('firstName', 'parent.firstName', 'pets.name');
    * ```
+   *
+   * The filters of a property reference can be restricted by giving an object whose
+   * values are the lists of allowed filters:
+   *
+   * ```js
+   * findQuery(Person).allow('lastName', { firstName: ['eq', 'in'] });
+   * ```
    */
   allow(
-    ...args: string[]
+    ...args: Array<string | PropertyFilters | Array<string | PropertyFilters>>
+  ): this['SingleQueryBuilderType'] & M['QueryBuilderType']['SingleQueryBuilderType'];
+
+  /**
+   * Whitelists the property references that can be filtered by. If this is not called,
+   * the filters are checked against `allow`.
+   */
+  allowFilter(
+    ...args: Array<string | PropertyFilters | Array<string | PropertyFilters>>
+  ): this['SingleQueryBuilderType'] & M['QueryBuilderType']['SingleQueryBuilderType'];
+
+  /**
+   * Whitelists the property references that can be ordered by. If this is not called,
+   * the ordering is checked against `allow`.
+   */
+  allowOrderBy(
+    ...args: Array<string | string[]>
+  ): this['SingleQueryBuilderType'] & M['QueryBuilderType']['SingleQueryBuilderType'];
+
+  /**
+   * Whitelists the property references that can be grouped by. If this is not called,
+   * the grouping is checked against `allow`.
+   */
+  allowGroupBy(
+    ...args: Array<string | string[]>
+  ): this['SingleQueryBuilderType'] & M['QueryBuilderType']['SingleQueryBuilderType'];
+
+  /**
+   * Use this method to blacklist property references or some of their filters.
+   *
+   * ```js
+   * findQuery(Person).deny('ssn', { firstName: ['likeLower', 'containsLower'] });
+   * ```
+   */
+  deny(
+    ...args: Array<string | PropertyFilters | Array<string | PropertyFilters>>
   ): this['SingleQueryBuilderType'] & M['QueryBuilderType']['SingleQueryBuilderType'];
 
   /**
@@ -48,6 +158,36 @@ export class FindQueryBuilder<M extends Model, R = M[]> {
     bool: boolean
   ): this['SingleQueryBuilderType'] & M['QueryBuilderType']['SingleQueryBuilderType'];
 
+  /**
+   * Use this method to whitelist the properties that can be selected using the `select` parameter.
+   *
+   * By default all properties of the model and of the eagerly fetched relations can be
+   * selected. This whitelist is independent of the `allow` whitelist.
+   *
+   * ```js
+   * findQuery(Person).allowSelect('firstName', 'lastName', 'pets.name');
+   * ```
+   */
+  allowSelect(
+    ...args: string[]
+  ): this['SingleQueryBuilderType'] & M['QueryBuilderType']['SingleQueryBuilderType'];
+
+  /**
+   * Sets the properties searched by the `q` parameter.
+   *
+   * The properties can be the model's own properties or properties of one-to-one relations.
+   * If `options.orderByRelevance` is true the best matches come first unless the query
+   * parameters specify an ordering.
+   *
+   * ```js
+   * findQuery(Person).searchProperties(['firstName', 'lastName'], { orderByRelevance: true });
+   * ```
+   */
+  searchProperties(
+    properties: string | string[],
+    options?: { orderByRelevance?: boolean }
+  ): this['SingleQueryBuilderType'] & M['QueryBuilderType']['SingleQueryBuilderType'];
+
   /**
    * Sets/gets the allowed eager expression.
    *
@@ -93,6 +233,9 @@ export class FindQueryBuilder<M extends Model, R = M[]> {
    * }
    * ```
    *
+   * `propertyRef.coerce(value)` converts the value to the type of the property as given in the
+   * model's `jsonSchema`. It throws an error with status code 400 if the value cannot be converted.
+   *
    * The `method` must be the name of one of the knex.js where methods. `args` is the array
    * of arguments for the method. The filter is invoked somewhat like this:
    *
@@ -170,6 +313,118 @@ export class FindQueryBuilder<M extends Model, R = M[]> {
     params: Record<string, any>,
     builder?: PageQueryBuilder<QueryBuilder<M>>
   ): PageQueryBuilder<QueryBuilder<M>>;
+
+  /**
+   * Checks the query parameters without running a query and returns
+   * the errors of all invalid query parameters. The filters that depend on
+   * the database are only checked if the model class is bound to a knex instance.
+   */
+  // eslint-disable-next-line
+  validate(params: Record<string, any>): FindQueryError[];
+
+  /**
+   * Makes `build` throw a single `INVALID_PARAMETERS` error that contains
+   * the errors of all invalid query parameters.
+   */
+  collectErrors(
+    collectErrors?: boolean
+  ): this['SingleQueryBuilderType'] & M['QueryBuilderType']['SingleQueryBuilderType'];
+
+  /**
+   * Gives public names to properties and relations. The keys are the names used in the
+   * query parameters and the values the real property references.
+   *
+   * ```js
+   * findQuery(Person).alias({ owner: 'parent', 'owner.name': 'parent.firstName' });
+   * ```
+   */
+  alias(aliases: {
+    [publicName: string]: string;
+  }): this['SingleQueryBuilderType'] & M['QueryBuilderType']['SingleQueryBuilderType'];
+
+  /**
+   * Rejects the real names of the aliased properties and relations in the query parameters.
+   */
+  strictAliases(
+    strictAliases?: boolean
+  ): this['SingleQueryBuilderType'] & M['QueryBuilderType']['SingleQueryBuilderType'];
+
+  /**
+   * Sets the clock that relative dates like `now-30d` and the `withinLast` and `olderThan`
+   * filters are resolved against. The default clock returns `new Date()`.
+   */
+  clock(
+    clock: () => Date
+  ): this['SingleQueryBuilderType'] & M['QueryBuilderType']['SingleQueryBuilderType'];
+
+  /**
+   * Sets query parameters that are used when the client doesn't give them. With the
+   * `forced` option the client cannot override them.
+   *
+   * ```js
+   * findQuery(Person).defaults({ orderBy: 'id' }).defaults({ 'deletedAt:isNull': '' }, { forced: true });
+   * ```
+   */
+  defaults(
+    // eslint-disable-next-line
+    params: Record<string, any>,
+    options?: { forced?: boolean }
+  ): this['SingleQueryBuilderType'] & M['QueryBuilderType']['SingleQueryBuilderType'];
+
+  /**
+   * Sets the number of rows returned when the query parameters don't give a range, `limit`,
+   * `pageSize` or cursor page size. Queries that use `join` are not limited by default.
+   */
+  defaultRange(
+    size: number
+  ): this['SingleQueryBuilderType'] & M['QueryBuilderType']['SingleQueryBuilderType'];
+
+  /**
+   * Sets the maximum number of rows a query can return. Larger ranges, limits and page sizes are
+   * rejected, or reduced to `size` if `options.clamp` is true.
+   */
+  maxRange(
+    size: number,
+    options?: { clamp?: boolean }
+  ): this['SingleQueryBuilderType'] & M['QueryBuilderType']['SingleQueryBuilderType'];
+
+  /**
+   * Adds conditions that the server enforces on the query and on the queries of the relations.
+   * The conditions are always wrapped in their own group.
+   *
+   * ```js
+   * findQuery(Person).scope((builder, modelClass, table) => builder.where(table + '.tenantId', 1));
+   * ```
+   */
+  scope(
+    scope: ScopeFn
+  ): this['SingleQueryBuilderType'] & M['QueryBuilderType']['SingleQueryBuilderType'];
+
+  /**
+   * Adds a scope condition for the model of the builder. Takes the arguments of the
+   * objection.js `where` method.
+   *
+   * ```js
+   * findQuery(Person).where('tenantId', req.user.tenantId);
+   * ```
+   */
+  where(
+    // eslint-disable-next-line
+    ...args: any[]
+  ): this['SingleQueryBuilderType'] & M['QueryBuilderType']['SingleQueryBuilderType'];
+
+  /**
+   * Configures the builder using an object of options. The options are the names of the
+   * builder methods and their values are passed to the methods. The model's static
+   * `findConfig` and the options given to `findQuery` are applied using this method.
+   *
+   * ```js
+   * findQuery(Person).config({ allow: ['firstName', { age: ['lt', 'gt'] }] });
+   * ```
+   */
+  config(
+    config: FindConfig<M>
+  ): this['SingleQueryBuilderType'] & M['QueryBuilderType']['SingleQueryBuilderType'];
 }
 
 export class PropertyRef<M extends Model> {
@@ -189,13 +444,76 @@ export class PropertyRef<M extends Model> {
    */
   constructor(str: string, builder?: FindQueryBuilder<M>);
 
+  /**
+   * Converts a filter value into the type of the referred property.
+   *
+   * The type is read from the `jsonSchema` of the property's model class. Values of
+   * `integer`, `number` and `boolean` properties are converted into numbers and booleans
+   * and `date-time`, `date` and `uuid` formatted strings are validated and normalized.
+   * Throws a `FindQueryError` with code `INVALID_VALUE` if the value cannot be converted.
+   */
+  // eslint-disable-next-line
+  coerce(value: any): any;
+
+  /**
+   * Converts a date, a timestamp or a relative date like `now-30d` into a string that can be
+   * compared with the property: `YYYY-MM-DD` for `date` properties and an ISO 8601 timestamp
+   * for other properties. Throws a `FindQueryError` with code `INVALID_VALUE` for invalid dates.
+   */
+  coerceDate(value: string | Date): string;
+
+  /**
+   * Returns the current time of the clock of the builder.
+   */
+  now(): Date;
+
   /**
    * Returns the full column name to be used in the queries.
    *
    * The returned string contains the appropriate table name or table alias. For
-   * example `Person.firstName` or `Animal.name`.
+   * example `Person.firstName` or `Person_rel_pets.name`.
+   *
+   * For aggregate references like `pets:count` this returns a raw expression of the
+   * aggregate subquery instead of a string. The expression can be used in place of a
+   * column name in the knex where methods and as a `??` binding in raw queries.
+   *
+   * References to JSON fields like `metadata:address.city` return an expression that
+   * extracts the field as text.
    */
-  fullColumnName(): string;
+  fullColumnName(): string | RawBuilder | JsonFieldExpression;
+
+  /**
+   * Returns an expression of the JSON value of the reference for the JSON filters like
+   * `hasKey` and `contains`. The value is the whole column or the referred field.
+   */
+  jsonValue(): JsonFieldExpression;
+
+  /**
+   * Returns true if the referred property is a JSON column, that is an `object` or
+   * `array` property in the `jsonSchema` of the model class.
+   */
+  isJson(): boolean;
+
+  /**
+   * Returns the table alias of the model class reached after `depth` relations.
+   *
+   * Depth zero is the table of the model class we are building the query for. Every
+   * relation in the path appends `_rel_<relationName>` to the alias, so for example
+   * `parent.parent.age` is read from `Person_rel_parent_rel_parent`.
+   */
+  tableAlias(depth: number): string;
+
+  /**
+   * Returns true if the reference goes through at least one relation
+   * that is not a one-to-one relation.
+   */
+  isToMany(): boolean;
+
+  /**
+   * Returns a subquery that selects the aggregate value of the reference,
+   * for example the number of pets for reference `pets:count`.
+   */
+  aggregateQuery(): QueryBuilder<Model>;
 
   /**
    * Builds a where statement.
@@ -203,5 +521,101 @@ export class PropertyRef<M extends Model> {
   buildFilter(param: string, builder: FindQueryBuilder<M>, boolOp?: string): void;
 }
 
-export function findQuery<T extends Model>(modelClass: Constructor<T>): FindQueryBuilder<T>;
+export type FindQueryErrorCode =
+  | 'INVALID_PARAMETER'
+  | 'INVALID_PARAMETERS'
+  | 'INVALID_FILTER'
+  | 'INVALID_VALUE'
+  | 'INVALID_ORDER_BY'
+  | 'INVALID_RANGE'
+  | 'INVALID_CURSOR'
+  | 'INVALID_SELECT'
+  | 'INVALID_RELATION_EXPRESSION'
+  | 'UNKNOWN_RELATION'
+  | 'UNKNOWN_PROPERTY'
+  | 'INVALID_AGGREGATE'
+  | 'PROPERTY_NOT_ALLOWED'
+  | 'FILTER_NOT_ALLOWED'
+  | 'RELATION_NOT_ALLOWED';
+
+export class FindQueryError extends Error {
+  /**
+   * The error thrown for invalid query parameters.
+   *
+   * In addition to the human readable `message` the error tells which query
+   * parameter failed and why in a machine readable form.
+   */
+  constructor(
+    message: string,
+    details?: {
+      code?: FindQueryErrorCode;
+      key?: string;
+      // eslint-disable-next-line
+      value?: any;
+      propertyRef?: string;
+      errors?: FindQueryError[];
+    }
+  );
+
+  /**
+   * Creates an `INVALID_PARAMETERS` error that contains the given errors.
+   */
+  static fromErrors(errors: FindQueryError[]): FindQueryError;
+
+  static codes: { [C in FindQueryErrorCode]: C };
+
+  /**
+   * The HTTP status code. Always 400.
+   */
+  statusCode: number;
+
+  /**
+   * The reason of the error.
+   */
+  code: FindQueryErrorCode;
+
+  /**
+   * The key of the query parameter that failed, or null if the error
+   * is not related to a single query parameter.
+   */
+  key: string | null;
+
+  /**
+   * The value of the query parameter that failed.
+   */
+  // eslint-disable-next-line
+  value: any;
+
+  /**
+   * The property reference that failed, for example `parent.age`, or null.
+   */
+  propertyRef: string | null;
+
+  /**
+   * The errors of all invalid query parameters if the code is
+   * `INVALID_PARAMETERS`, otherwise null.
+   */
+  errors: FindQueryError[] | null;
+
+  /**
+   * Fills in the query parameter of the error if it isn't known yet.
+   */
+  // eslint-disable-next-line
+  withParameter(key: string, value: any): this;
+
+  toJSON(): {
+    code: FindQueryErrorCode;
+    message: string;
+    key: string | null;
+    // eslint-disable-next-line
+    value: any;
+    propertyRef: string | null;
+    errors?: ReturnType<FindQueryError['toJSON']>[];
+  };
+}
+
+export function findQuery<T extends Model>(
+  modelClass: Constructor<T>,
+  config?: FindConfig<T>
+): FindQueryBuilder<T>;
 export default findQuery;
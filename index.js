@@ -3,8 +3,9 @@
 const FindQueryBuilder = require('./lib/FindQueryBuilder');
 const QueryParameter = require('./lib/QueryParameter');
 const PropertyRef = require('./lib/PropertyRef');
+const FindQueryError = require('./lib/FindQueryError');
 
-const findQuery = (modelClass) => new FindQueryBuilder(modelClass);
+const findQuery = (modelClass, config) => new FindQueryBuilder(modelClass, config);
 
 /**
  * These export configurations enable JS and TS developers
@@ -20,5 +21,6 @@ findQuery.findQuery = findQuery;
 findQuery.FindQueryBuilder = FindQueryBuilder;
 findQuery.QueryParameter = QueryParameter;
 findQuery.PropertyRef = PropertyRef;
+findQuery.FindQueryError = FindQueryError;
 findQuery.default = findQuery;
 module.exports = findQuery;
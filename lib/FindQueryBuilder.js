@@ -1,23 +1,130 @@
 'use strict';
 
 const _ = require('lodash');
+const { raw, ref, RelationExpression } = require('objection');
 const utils = require('./utils');
+const cursor = require('./cursor');
 const filters = require('./filters');
+const FindQueryError = require('./FindQueryError');
 const PropertyRef = require('./PropertyRef');
 const QueryParameter = require('./QueryParameter');
+const search = require('./search');
+
+const codes = FindQueryError.codes;
+
+/**
+ * Filters that take all values of a repeated query parameter as one list.
+ *
+ * @private
+ */
+const LIST_FILTERS = [
+  'in',
+  'notIn',
+  'between',
+  'notBetween',
+  'containsAny',
+  'arrayContains',
+  'arrayOverlaps',
+  'arrayContainedBy',
+];
+
+/**
+ * The special parameters that select a range of the rows. A client's range of any style
+ * replaces all the default range parameters.
+ *
+ * @private
+ */
+const RANGE_PARAMETERS = ['rangeStart', 'rangeEnd', 'limit', 'offset', 'page', 'pageSize'];
+
+/**
+ * The prefix of the columns that cursor queries select for the aggregate ordering keys.
+ * The columns are removed from the results after the cursors are read from them.
+ *
+ * @private
+ */
+const ORDER_KEY_ALIAS = '__orderKey';
 
 const SPECIAL_PARAMETERS = Object.freeze({
   eager: 'eager',
   join: 'join',
   rangeEnd: 'rangeEnd',
   rangeStart: 'rangeStart',
+  after: 'after',
+  before: 'before',
+  limit: 'limit',
+  offset: 'offset',
+  page: 'page',
+  pageSize: 'pageSize',
   orderBy: 'orderBy',
   orderByAsc: 'orderByAsc',
   orderByDesc: 'orderByDesc',
   groupBy: 'groupBy',
   count: 'count',
+  select: 'select',
+  q: 'q',
+  and: 'and',
+  or: 'or',
+  not: 'not',
+});
+
+/**
+ * The options of `config` and of the model's `findConfig`. Each option is applied by
+ * calling the builder method of the same purpose. The options are applied in this order,
+ * so the filters, special parameters and aliases are known when the whitelists are parsed.
+ *
+ * @private
+ */
+const CONFIG_OPTIONS = Object.freeze({
+  filters: (builder, value) =>
+    _.each(value, (filter, filterName) => builder.registerFilter(filterName, filter)),
+  specialParameters: (builder, value) =>
+    _.each(value, (parameterName, name) => builder.specialParameter(name, parameterName)),
+  aliases: (builder, value) => builder.alias(value),
+  strictAliases: (builder, value) => builder.strictAliases(value),
+  allow: (builder, value) => builder.allow(value),
+  allowFilter: (builder, value) => builder.allowFilter(value),
+  allowOrderBy: (builder, value) => builder.allowOrderBy(value),
+  allowGroupBy: (builder, value) => builder.allowGroupBy(value),
+  deny: (builder, value) => builder.deny(value),
+  allowSelect: (builder, value) => builder.allowSelect(value),
+  allowEager: (builder, value) => builder.allowEager(value),
+  searchProperties: (builder, value) =>
+    _.isPlainObject(value)
+      ? builder.searchProperties(value.properties, value)
+      : builder.searchProperties(value),
+  collectErrors: (builder, value) => builder.collectErrors(value),
+  clock: (builder, value) => builder.clock(value),
+  defaultRange: (builder, value) => builder.defaultRange(value),
+  maxRange: (builder, value) =>
+    _.isPlainObject(value) ? builder.maxRange(value.size, value) : builder.maxRange(value),
+  defaults: (builder, value) => builder.defaults(value),
+  forcedDefaults: (builder, value) => builder.defaults(value, { forced: true }),
+  scope: (builder, value) => _.each(toArray(value), (scope) => builder.scope(scope)),
+  where: (builder, value) => builder.where.apply(builder, _.castArray(value)),
 });
 
+/**
+ * The options of `findConfig` that are merged with the options given to `findQuery`
+ * instead of being replaced by them.
+ *
+ * @private
+ */
+const MERGED_CONFIG_OPTIONS = [
+  'filters',
+  'specialParameters',
+  'aliases',
+  'defaults',
+  'forcedDefaults',
+];
+
+/**
+ * The options of `findConfig` whose conditions the options given to `findQuery` add to.
+ * A route cannot replace or remove the scope of the model.
+ *
+ * @private
+ */
+const CUMULATIVE_CONFIG_OPTIONS = ['scope', 'where'];
+
 /**
  * A class for building HTTP query parameter controlled find queries for objection.js models.
  *
@@ -46,11 +153,15 @@ const SPECIAL_PARAMETERS = Object.freeze({
  * ```
  *
  * A <propertyReference> is either simply a property name like `firstName` or a reference to a
- * relation's property like `pets.name` (`pets` is the name of the relation).
+ * relation's property like `pets.name` (`pets` is the name of the relation). Relations can be
+ * nested to any depth, for example `pets.owner.parent.firstName`. References to JSON columns can continue into the
+ * JSON value like `metadata:address.city`.
  *
- * <filterName> is one of the built-in filters `eq`, `lt`, `lte`, `gt`, `gte`, `like`, `likeLower`
- * `in`, `notNull` or `isNull`. Filter can also be a custom filter registered using the
- * `registerFilter` method.
+ * <filterName> is one of the built-in filters `eq`, `lt`, `lte`, `gt`, `gte`, `like`, `likeLower`,
+ * `ilike`, `eqLower`, `contains`, `containsLower`, `startsWith`, `startsWithLower`, `endsWith`,
+ * `endsWithLower`, `eqUnaccent`, `containsUnaccent`, `startsWithUnaccent`, `endsWithUnaccent`, `in`, `notIn`,
+ * `between`, `notBetween`, `notNull`, `isNull`, `search`, `hasKey`, `containedBy`, `containsAny`, `arrayContains`,
+ * `arrayOverlaps`, `arrayContainedBy`, `before`, `after`, `onDate`, `withinLast` or `olderThan`. Filter can also be a custom filter registered using the `registerFilter` method.
  *
  * The following examples explain how filter parameters work:
  *
@@ -62,6 +173,17 @@ const SPECIAL_PARAMETERS = Object.freeze({
  * | `lastName|movies.name:like=%Gump%` | Returns all Persons whose last name contains 'Gump' or who acted in a movie whose name contains 'Gump'. |
  * | `parent.age:lt=60`                 | Returns all persons whose parent's age is less than 60.                                                 |
  * | `parent.age:in=20,22,24`           | Returns all persons whose parent's age is 20, 22 or 24.                                                 |
+ * | `age:between=20,29`                | Returns all persons whose age is at least 20 and at most 29.                                            |
+ * | `parent.pets.name:eq=Fluffy`       | Returns all persons whose parent has a pet named 'Fluffy'.                                              |
+ * | `pets:count:gt=3`                  | Returns all persons who have more than 3 pets.                                                          |
+ * | `movies.rating:avg:gte=4`          | Returns all persons whose movies' average rating is at least 4.                                         |
+ * | `!pets.name:like=Fluf%`            | Returns all persons that don't have a pet whose name starts with 'Fluf'.                                |
+ * | `pets.name:like:all=Fluf%`         | Returns all persons whose every pet's name starts with 'Fluf'.                                          |
+ * | `metadata:address.city=Oslo`       | Returns all persons whose `metadata` JSON column has the `address.city` 'Oslo'.                         |
+ * | `tags:containsAny=red,blue`        | Returns all persons whose `tags` JSON array contains 'red' or 'blue'.                                   |
+ * | `roles:arrayOverlaps=admin,editor` | Returns all persons whose `roles` PostgreSQL array contains 'admin' or 'editor'.                        |
+ * | `createdAt:withinLast=7d`          | Returns all persons created during the last 7 days.                                                     |
+ * | `createdAt:lt=now-30d`             | Returns all persons created more than 30 days ago.                                                      |
  *
  * Filter query parameters are joined with `AND` operator so for example the query string:
  *
@@ -73,6 +195,19 @@ const SPECIAL_PARAMETERS = Object.freeze({
  * at least one pet whose name starts with 'Fluf'.
  *
  *
+ * ## Groups
+ *
+ * The `and`, `or` and `not` parameters combine filters into groups. The filters inside a group are
+ * joined with `AND` and groups can be nested. The query string:
+ *
+ * ```
+ * or[0][age:gt]=30&or[0][lastName]=Smith&or[1][not][pets.name:like]=Fluf%
+ * ```
+ *
+ * would return the Persons who are older than 30 and whose last name is 'Smith' or who don't have a pet whose
+ * name starts with 'Fluf'. Groups can also be given as JSON strings like `or=[{"age:gt":30},{"lastName":"Smith"}]`.
+ *
+ *
  * ## Special parameters
  *
  * In addition to the filter parameters, there is a set of query parameters that have a special meaning:
@@ -82,16 +217,46 @@ const SPECIAL_PARAMETERS = Object.freeze({
  * | `eager=[pets, parent.movies]` | Which relations to fetch eagerly for the result models. An objection.js relation expression. That pass to `withGraphFetched`. |
  * | `join=[owner]`                | Which relations to fetch eagerly for the result models. An objection.js relation expression. That pass to `withGraphJoined`. |
  * | `orderBy=firstName`           | Sort the result by certain property.                                                         |
+ * | `orderBy=lastName,-age`       | Sort the result by several properties. `-` prefix sorts in descending order.                 |
+ * | `orderBy=age:nullsLast`       | Sort with nulls last. `:nullsFirst` puts nulls first.                                        |
+ * | `orderByDesc=pets:count`      | Sort by an aggregate (`count`, `sum`, `avg`, `min` or `max`) of a to-many relation.          |
  * | `orderByDesc=firstName`       | Sort the result by certain property in descending order.                                     |
  * | `rangeStart=10`               | The start of the result range. The result will be `{total: 12343, results: [ ... ]}`.        |
  * | `rangeEnd=50`                 | The end of the result range. The result will be `{total: 12343, results: [ ... ]}`.          |
+ * | `after=<cursor>`              | Keyset pagination. Return the rows after the cursor, or the first rows if the value is empty. |
+ * | `before=<cursor>`             | Keyset pagination. Return the rows before the cursor, or the last rows if the value is empty. |
+ * | `limit=20`                    | The number of rows. With a cursor the result will be `{results: [ ... ], nextCursor: '...', previousCursor: '...'}`. |
+ * | `offset=40`                   | The number of rows to skip. Used together with `limit`.                                      |
+ * | `page=2`                      | The zero-based page. The result will be `{total: 12343, results: [ ... ]}`.                  |
+ * | `pageSize=20`                 | The size of the pages. Limited by `maxRange`.                                                |
+ * | `select=firstName,pets.name`  | Return only the given properties of the result models and of the eagerly fetched relations.  |
+ * | `q=forrest gump`              | Full-text search over the properties given to `searchProperties`.                            |
+ *
+ *
+ * ## Model configuration
+ *
+ * The model class can define the searchable surface next to its `relationMappings` using
+ * a static `findConfig` object. The options are the same as the ones of the `config` method
+ * and the options given to the constructor override them:
+ *
+ * ```js
+ * class Person extends Model {
+ *   static findConfig = {
+ *     allow: ['firstName', 'lastName', { age: ['eq', 'lt', 'gt'] }],
+ *     allowEager: '[pets, parent]',
+ *   };
+ * }
+ *
+ * findQuery(Person, { allow: ['firstName'] });
+ * ```
  *
  * @param {Model} modelClass
+ * @param {Object=} config
  * @constructor
  */
 
 class FindQueryBuilder {
-  constructor(modelClass) {
+  constructor(modelClass, config) {
     /**
      * An objection.js `Model` subclass constructor.
      *
@@ -111,13 +276,34 @@ class FindQueryBuilder {
     this._allowAll = true;
 
     /**
-     * Hash of allowed property references.
+     * Hash of allowed property references. The value is true if all filters can be used
+     * with the property reference or a list of the allowed filters.
      *
-     * @type {Object.<string, PropertyRef>}
+     * @type {Object.<string, boolean|Array.<string>>}
      * @private
      */
     this._allow = Object.create(null);
 
+    /**
+     * Whitelists like `_allow` for the filters, the ordering and the grouping. `_allow`
+     * is used for the parameters whose whitelist is null.
+     *
+     * @type {Object.<string, boolean|Array.<string>>}
+     * @private
+     */
+    this._allowFilter = null;
+    this._allowOrderBy = null;
+    this._allowGroupBy = null;
+
+    /**
+     * Hash of denied property references. The value is true if the property reference cannot
+     * be used at all or a list of the filters that cannot be used with it.
+     *
+     * @type {Object.<string, boolean|Array.<string>>}
+     * @private
+     */
+    this._deny = Object.create(null);
+
     /**
      * Which relations of the result models can be fetched eagerly.
      *
@@ -128,6 +314,39 @@ class FindQueryBuilder {
      */
     this._allowEager = null;
 
+    /**
+     * If this is true (default) all properties can be selected using the `select` parameter.
+     *
+     * @type {boolean}
+     * @private
+     */
+    this._allowSelectAll = true;
+
+    /**
+     * Hash of property references that can be selected.
+     *
+     * @type {Object.<string, PropertyRef>}
+     * @private
+     */
+    this._allowSelect = Object.create(null);
+
+    /**
+     * The properties searched by the `q` parameter.
+     *
+     * @type {Array.<PropertyRef>}
+     * @private
+     */
+    this._searchProperties = [];
+
+    /**
+     * If this is true the results of the `q` parameter are ordered by relevance
+     * when no other ordering is given.
+     *
+     * @type {boolean}
+     * @private
+     */
+    this._orderBySearchRelevance = false;
+
     /**
      * Registered filter functions.
      *
@@ -153,6 +372,23 @@ class FindQueryBuilder {
      */
     this._inverseSpecialParameterMap = Object.create(null);
 
+    /**
+     * Public names of property references and relations mapped to the real ones.
+     *
+     * @type {Object.<string, string>}
+     * @private
+     */
+    this._aliases = Object.create(null);
+
+    /**
+     * If this is true the real names of the aliased properties and relations cannot
+     * be used in the query parameters.
+     *
+     * @type {boolean}
+     * @private
+     */
+    this._strictAliases = false;
+
     /**
      * Cache for `PropertyRef` objects.
      *
@@ -161,6 +397,59 @@ class FindQueryBuilder {
      */
     this._propertyRefCache = Object.create(null);
 
+    /**
+     * If this is true `build` collects the errors of all query parameters and
+     * throws them at once.
+     *
+     * @type {boolean}
+     * @private
+     */
+    this._collectErrors = false;
+
+    /**
+     * The number of rows returned when the query parameters don't limit them.
+     *
+     * @type {number}
+     * @private
+     */
+    this._defaultRange = null;
+
+    /**
+     * The maximum number of rows a range, `limit` or cursor page can return. If `_clampRange`
+     * is true larger ranges are reduced to the maximum, otherwise they are rejected.
+     *
+     * @type {number}
+     * @private
+     */
+    this._maxRange = null;
+    this._clampRange = false;
+
+    /**
+     * Query parameters that are used unless the client gives the same parameter, and
+     * query parameters that are always used.
+     *
+     * @type {Object.<string, *>}
+     * @private
+     */
+    this._defaults = Object.create(null);
+    this._forcedDefaults = Object.create(null);
+
+    /**
+     * Functions that add the server's conditions to the queries of all models.
+     *
+     * @type {Array.<function(QueryBuilder, Model, string)>}
+     * @private
+     */
+    this._scopes = [];
+
+    /**
+     * Returns the current time for relative dates like `now-30d`.
+     *
+     * @type {function(): Date}
+     * @private
+     */
+    this._clock = () => new Date();
+
     // Register default filters.
     _.each(filters, (filter, name) => {
       this.registerFilter(name, filter);
@@ -170,6 +459,52 @@ class FindQueryBuilder {
     _.each(SPECIAL_PARAMETERS, (parameterName, name) => {
       this.specialParameter(name, parameterName);
     });
+
+    this.config(mergeConfig(modelClass.findConfig, config));
+    // The scope of the route is added to the scope of the model.
+    this.config(_.pick(config, CUMULATIVE_CONFIG_OPTIONS));
+  }
+
+  /**
+   * Configures the builder using an object of options. The options are the names of the
+   * builder methods and their values are passed to the methods: `allow`, `allowFilter`,
+   * `allowOrderBy`, `allowGroupBy`, `deny`, `allowSelect`, `allowEager`, `strictAliases`,
+   * `collectErrors`, `clock`, `defaultRange`, `maxRange`, `scope` and `where`. An array value
+   * of `where` is spread into the arguments of `where`. `searchProperties` and `maxRange`
+   * also take an object that has the `properties` or the `size` and the options. `filters`,
+   * `specialParameters` and `aliases` are objects that are passed to `registerFilter`,
+   * `specialParameter` and `alias`, and `defaults` and `forcedDefaults` are passed to
+   * `defaults`. Options whose value is `null` or `undefined` are ignored.
+   *
+   * The filters, special parameters and aliases are applied before the other options
+   * whatever their order in `config` is, so that for example `allow` can use the aliases.
+   *
+   * ```js
+   * findQuery(Person).config({
+   *   allow: ['firstName', { age: ['lt', 'gt'] }],
+   *   filters: { leq: lowercaseEq },
+   * });
+   * ```
+   *
+   * @param {Object} config
+   * @returns {FindQueryBuilder}
+   */
+  config(config) {
+    _.each(_.keys(config), (option) => {
+      if (!_.has(CONFIG_OPTIONS, option)) {
+        throw new Error('config: unknown option "' + option + '"');
+      }
+    });
+
+    _.each(CONFIG_OPTIONS, (apply, option) => {
+      const value = _.get(config, option);
+
+      if (!_.isNil(value)) {
+        apply(this, value);
+      }
+    });
+
+    return this;
   }
 
   /**
@@ -182,7 +517,10 @@ class FindQueryBuilder {
 
   allowAll() {
     this._allowAll = true;
-    this._allow = [];
+    this._allow = Object.create(null);
+    this._allowFilter = null;
+    this._allowOrderBy = null;
+    this._allowGroupBy = null;
     return this;
   }
 
@@ -199,6 +537,13 @@ class FindQueryBuilder {
     if (arguments.length === 0) {
       return this._allowEager;
     } else {
+      try {
+        // Fails early for invalid relation expressions.
+        RelationExpression.create(exp);
+      } catch (err) {
+        throw new Error('allowEager: invalid relation expression "' + exp + '"');
+      }
+
       this._allowEager = exp;
       return this;
     }
@@ -214,284 +559,1446 @@ class FindQueryBuilder {
    * findQuery(Person).allow('firstName', 'parent.firstName', 'pets.name');
    * ```
    *
+   * The filters of a property reference can be restricted by giving an object whose
+   * values are the lists of allowed filters:
+   *
+   * ```js
+   * findQuery(Person).allow('lastName', { firstName: ['eq', 'in'], 'movies.name': ['startsWith'] });
+   * ```
+   *
    * @returns {FindQueryBuilder}
    */
   allow() {
     this._allowAll = false;
-    _.merge(this._allow, this._parsePropertyRefs(toArray(arguments)));
+    this._allow = this._addPropertyFilters(this._allow, arguments);
     return this;
   }
 
   /**
-   * Registers a filter function.
-   *
-   * Given a query parameter `someProp:eq=10` the `eq` part is the filter. The filter name
-   * (in this case 'eq') is mapped to a function that performs the filtering.
-   *
-   * Filter functions take in a `PropertyRef` instance of the property to be filtered,
-   * the filter value and the objection.js model class constructor. The filter functions
-   * must return an object `{method: string, args: *}`. For example:
+   * Whitelists the property references that can be filtered by. Takes the same arguments
+   * as `allow`. If this is not called, the filters are checked against `allow`.
    *
    * ```js
-   * function lowercaseEq(propertyRef, value, modelClass) {
-   *   return {
-   *     method: 'where',
-   *     // You can access the name of the column we are filtering through
-   *     // `propertyRef.fullColumnName()`.
-   *     args: [propertyRef.fullColumnName(), '=', value.toLowerCase()]
-   *   };
-   * }
+   * findQuery(Person).allow('firstName', 'lastName').allowFilter({ lastName: ['eq'] });
    * ```
    *
-   * A better `lowercaseEq` would also lowercase the column value:
+   * @returns {FindQueryBuilder}
+   */
+  allowFilter() {
+    this._allowFilter = this._addPropertyFilters(this._allowFilter, arguments);
+    return this;
+  }
+
+  /**
+   * Whitelists the property references that can be ordered by. If this is not called,
+   * the ordering is checked against `allow`.
    *
    * ```js
-   * function lowercaseEq(propertyRef, value, modelClass) {
-   *   // Always use knex columnization for column references when building raw queries to make sure column names are escaped.
-   *   return {
-   *     method: 'whereRaw',
-   *     // Always escape the user input when building raw queries.
-   *     args: ['lower(' + columnName + ') = ?', value.toLowerCase()];
-   *     args: ['lower(??) = ?', [propertyRef.fullColumnName(), value.toLowerCase()]]
-   *   };
-   * }
+   * findQuery(Person).allowOrderBy('lastName', 'children:count');
    * ```
    *
-   * The `method` must be the name of one of the knex.js where methods. `args` is the array
-   * of arguments for the method. The filter is invoked somewhat like this:
+   * @returns {FindQueryBuilder}
+   */
+  allowOrderBy() {
+    this._allowOrderBy = this._addPropertyFilters(this._allowOrderBy, arguments);
+    return this;
+  }
+
+  /**
+   * Whitelists the property references that can be grouped by. If this is not called,
+   * the grouping is checked against `allow`.
    *
    * ```js
-   * const filter = lowercaseEq(propertyRef, value, modelClass);
-   * queryBuilder[filter.method].apply(queryBuilder, filter.args);
+   * findQuery(Person).allowGroupBy('lastName');
    * ```
    *
-   * The args array can be anything the given where method accepts as an argument. Check
-   * out the knex.js documentation.
+   * @returns {FindQueryBuilder}
+   */
+  allowGroupBy() {
+    this._allowGroupBy = this._addPropertyFilters(this._allowGroupBy, arguments);
+    return this;
+  }
+
+  /**
+   * Use this method to blacklist property references or some of their filters.
    *
-   * To register `lowercaseEq`:
+   * Denied property references cannot be used in any query parameter. An object whose
+   * values are lists of filters denies only those filters. The blacklist is checked in
+   * addition to the `allow` whitelist.
    *
    * ```js
-   * builder.registerFilter('leq', lowercaseEq);
+   * findQuery(Person).deny('ssn', { firstName: ['likeLower', 'containsLower'] });
    * ```
    *
-   * Now you could use your filter in the query parameters like this `someProperty:leq=Hello`.
-   *
-   * @param {string} filterName
-   * @param {function} filter
    * @returns {FindQueryBuilder}
    */
-  registerFilter(filterName, filter) {
-    this._filters[filterName] = filter;
+  deny() {
+    this._deny = this._addPropertyFilters(this._deny, arguments);
     return this;
   }
 
   /**
-   * Give names for the special parameters.
+   * Use this method to whitelist the properties that can be selected using the `select` parameter.
    *
-   * This can be used to rename a special parameter for example if it collides with a property name.
-   * The following example you can fetch relations eagerly by giving a `withRelated=[pets, movies]`
-   * query parameter instead of `eager=[pets, movies]`.
+   * By default all properties of the model and of the eagerly fetched relations can be
+   * selected. This whitelist is independent of the `allow` whitelist.
    *
    * ```js
-   * builder.specialParameter('eager', 'withRelated');
+   * findQuery(Person).allowSelect('firstName', 'lastName', 'pets.name');
    * ```
    *
-   * @param name
-   * @param parameterName
    * @returns {FindQueryBuilder}
    */
-  specialParameter(name, parameterName) {
-    this._specialParameterMap[name] = parameterName;
-    this._inverseSpecialParameterMap = _.invert(this._specialParameterMap);
+  allowSelect() {
+    this._allowSelectAll = false;
+    _.merge(this._allowSelect, this._parsePropertyRefs(toArray(arguments)));
     return this;
   }
 
   /**
-   * Builds the find query for the given query parameters.
+   * Sets the properties searched by the `q` parameter.
    *
-   * ```js
-   * var findQuery = require('objection-find');
-   * var Person = require('../models/Person');
+   * `q=some words` performs a full-text search over all the properties using the `search`
+   * filter. The properties can be the model's own properties or properties of one-to-one
+   * relations like `parent.lastName`. If `options.orderByRelevance` is true the best matches
+   * come first unless the query parameters specify an ordering.
    *
-   * expressApp.get('/api/persons', function (req, res, next) {
-   *   findQuery(Person).build(req.query).then(function (persons) {
-   *     res.send(persons);
-   *   }).catch(next);
-   * });
+   * ```js
+   * findQuery(Person).searchProperties(['firstName', 'lastName'], { orderByRelevance: true });
    * ```
    *
-   * @param {Object<string, string|Array.<string>>} params
-   *    Query parameter hash. For example express's `req.query`.
-   *
-   * @param {QueryBuilder=} builder
-   *    Optional objection.js QueryBuilder instance. If not given,
-   *    modelClass.query() is used.
-   *
-   * @returns {QueryBuilder}
+   * @param {string|Array.<string>} properties
+   * @param {{orderByRelevance: boolean}=} options
+   * @returns {FindQueryBuilder}
    */
-  build(params, builder) {
-    builder = builder || this._modelClass.query();
-    params = this._parseQueryParameters(params);
-
-    this._buildCount(params, builder);
-    this._buildJoins(params, builder);
-    this._buildFilters(params, builder);
-    this._buildGroupBy(params, builder);
-    this._buildOrderBy(params, builder);
-    this._buildRange(params, builder);
-    this._buildEager(params, builder);
-    this._buildJoin(params, builder);
-
-    return builder;
-  }
-
-  _parseQueryParameters(params) {
-    const parsed = [];
+  searchProperties(properties, options) {
+    this._searchProperties = _.map(toArray(properties), (str) => {
+      const propertyRef = this._parsePropertyRef(str);
 
-    _.each(params, (value, key) => {
-      if (_.isArray(value)) {
-        return _.each(value, (value) => {
-          parsed.push(new QueryParameter(value, key, this));
-        });
-      } else {
-        parsed.push(new QueryParameter(value, key, this));
+      if (propertyRef.aggregate || !propertyRef.propertyName || propertyRef.isToMany()) {
+        throw new Error('searchProperties: cannot search "' + str + '"');
       }
-    });
 
-    // Check that we only have allowed property references in the query parameters.
-    if (!this._allowAll) {
-      _.each(parsed, (param) => {
-        _.each(param.propertyRefs, (ref) => {
-          if (!this._allow[ref.str]) {
-            utils.throwError('Property reference "' + ref.str + '" not allowed');
-          }
-        });
-      });
-    }
+      return propertyRef;
+    });
 
-    return parsed;
+    this._orderBySearchRelevance = !!(options && options.orderByRelevance);
+    return this;
   }
 
-  _buildCount(params, builder) {
-    const countParam = _.find(params, { key: 'count' });
-    if (countParam) {
-      builder.count(countParam.value);
-    }
-  }
+  /**
+   * Makes `build` check all query parameters before throwing.
+   *
+   * By default `build` throws the error of the first invalid query parameter. After calling
+   * this method `build` throws a single `FindQueryError` with code `INVALID_PARAMETERS` whose
+   * `errors` property contains the errors of all invalid query parameters.
+   *
+   * ```js
+   * findQuery(Person).collectErrors().build({ 'age:gt': 'old', 'foo.bar': 'baz' });
+   * ```
+   *
+   * @param {boolean=} collectErrors
+   * @returns {FindQueryBuilder}
+   */
+  collectErrors(collectErrors) {
+    this._collectErrors = collectErrors === undefined ? true : !!collectErrors;
+    return this;
+  }
+
+  /**
+   * Sets the number of rows returned when the query parameters don't give a range, `limit`,
+   * `pageSize` or cursor page size. This also applies to a `rangeStart` without `rangeEnd` and
+   * a `page` without `pageSize`. Without a default the `maxRange` is used. Queries that use
+   * `join` are not limited by default since the limit would apply to the joined rows.
+   *
+   * ```js
+   * findQuery(Person).defaultRange(20);
+   * ```
+   *
+   * @param {number} size
+   * @returns {FindQueryBuilder}
+   */
+  defaultRange(size) {
+    this._defaultRange = size;
+    return this;
+  }
+
+  /**
+   * Sets the maximum number of rows a query can return. Ranges, limits, page sizes and cursor page sizes
+   * larger than `size` are rejected with an `INVALID_RANGE` error, or reduced to `size` if
+   * `options.clamp` is true. Queries that don't limit the rows return at most `size` rows,
+   * except the queries that use `join`.
+   *
+   * ```js
+   * findQuery(Person).maxRange(100, { clamp: true });
+   * ```
+   *
+   * @param {number} size
+   * @param {{clamp: boolean}=} options
+   * @returns {FindQueryBuilder}
+   */
+  maxRange(size, options) {
+    this._maxRange = size;
+    this._clampRange = !!(options && options.clamp);
+    return this;
+  }
+
+  /**
+   * Sets query parameters that are used when the client doesn't give them.
+   *
+   * A default filter is replaced by the client's filters of the same property reference, also
+   * inside the `and`, `or` and `not` groups, and a default special parameter by the client's
+   * parameter of the same kind. `orderBy`, `orderByAsc` and `orderByDesc` are all orderings
+   * and a range of any style like `limit` replaces all the default range parameters like
+   * `rangeStart` and `rangeEnd`. If `options.forced` is true the client cannot override the
+   * parameters: the client's filters are applied in addition to the forced filters and the
+   * client's special parameters are replaced by the forced ones.
+   *
+   * The defaults are not checked against `allow` and `deny`.
+   *
+   * ```js
+   * findQuery(Person)
+   *   .defaults({ orderBy: 'id', 'status:eq': 'active' })
+   *   .defaults({ 'deletedAt:isNull': '' }, { forced: true });
+   * ```
+   *
+   * @param {Object.<string, *>} params
+   * @param {{forced: boolean}=} options
+   * @returns {FindQueryBuilder}
+   */
+  defaults(params, options) {
+    _.assign(options && options.forced ? this._forcedDefaults : this._defaults, params);
+    return this;
+  }
+
+  /**
+   * Adds conditions that the server enforces on every query. The client cannot see or
+   * override them.
+   *
+   * `scope` is called with an objection.js query builder, the model class of the query and the
+   * table name or alias of the model in the query. It's called for the main query and for every
+   * query of the relations: the `whereExists` subqueries of relation filters, the aggregates,
+   * the joined relations and the relations fetched using `eager` and `join`. The conditions are
+   * always wrapped in their own group, so the client's filters cannot be combined with them
+   * using `OR`.
+   *
+   * ```js
+   * findQuery(Person).scope((builder, modelClass, table) => {
+   *   if (modelClass.jsonSchema.properties.tenantId) {
+   *     builder.where(table + '.tenantId', req.user.tenantId);
+   *   }
+   * });
+   * ```
+   *
+   * @param {function(QueryBuilder, Model, string)} scope
+   * @returns {FindQueryBuilder}
+   */
+  scope(scope) {
+    this._scopes.push(scope);
+    return this;
+  }
+
+  /**
+   * Adds a scope condition for the model of this builder. The arguments are the ones of the
+   * objection.js `where` method. Column names without a table are read from the table of the
+   * model. The condition is applied to the main query and to the relations whose model uses
+   * the same table, for example `parent` and `children` of a `Person`.
+   *
+   * ```js
+   * findQuery(Person).where('tenantId', req.user.tenantId).where({ deletedAt: null });
+   * ```
+   *
+   * @returns {FindQueryBuilder}
+   */
+  where() {
+    const args = _.toArray(arguments);
+    const tableName = this._modelClass.getTableName();
+
+    return this.scope((builder, modelClass, table) => {
+      if (modelClass.getTableName() === tableName) {
+        builder.where.apply(builder, qualifyColumns(args, table));
+      }
+    });
+  }
+
+  /**
+   * Gives public names to properties and relations.
+   *
+   * The keys are the names used in the query parameters and the values the real property
+   * references. An alias of a relation also applies to the references through it, so with
+   * the aliases below `owner.age` refers to `parent.age`. The errors use the public names.
+   * `allow`, `deny` and the other whitelists can use either name since they are compared
+   * by the real property. The relation expressions of `eager`, `join` and `allowEager` are
+   * resolved too. Use `strictAliases` to reject the real names.
+   *
+   * ```js
+   * findQuery(Person).alias({ owner: 'parent', 'owner.name': 'parent.firstName' });
+   * ```
+   *
+   * @param {Object.<string, string>} aliases
+   * @returns {FindQueryBuilder}
+   */
+  alias(aliases) {
+    _.assign(this._aliases, aliases);
+    // The cached references may have been parsed without the aliases.
+    this._propertyRefCache = Object.create(null);
+    return this;
+  }
+
+  /**
+   * Makes the real names of the aliased properties and relations invalid in the query
+   * parameters, so that they can only be referred to using the public names. With the aliases
+   * below `parent.age`, `owner.firstName` and `eager=parent` are rejected but `owner.age`,
+   * `owner.name` and `eager=owner` work. The properties and relations without an alias can be
+   * used as before.
+   *
+   * ```js
+   * findQuery(Person).alias({ owner: 'parent', 'owner.name': 'parent.firstName' }).strictAliases();
+   * ```
+   *
+   * @param {boolean=} strictAliases
+   * @returns {FindQueryBuilder}
+   */
+  strictAliases(strictAliases) {
+    this._strictAliases = strictAliases === undefined ? true : !!strictAliases;
+    return this;
+  }
+
+  /**
+   * Sets the clock that relative dates like `now-30d` and the `withinLast` and `olderThan`
+   * filters are resolved against. The default clock returns `new Date()`.
+   *
+   * ```js
+   * findQuery(Person).clock(() => new Date('2020-10-29T12:00:00Z'));
+   * ```
+   *
+   * @param {function(): Date} clock
+   * @returns {FindQueryBuilder}
+   */
+  clock(clock) {
+    this._clock = clock;
+    return this;
+  }
+
+  /**
+   * Registers a filter function.
+   *
+   * Given a query parameter `someProp:eq=10` the `eq` part is the filter. The filter name
+   * (in this case 'eq') is mapped to a function that performs the filtering.
+   *
+   * Filter functions take in a `PropertyRef` instance of the property to be filtered,
+   * the filter value and the objection.js model class constructor. The filter functions
+   * must return an object `{method: string, args: *}`. For example:
+   *
+   * ```js
+   * function lowercaseEq(propertyRef, value, modelClass) {
+   *   return {
+   *     method: 'where',
+   *     // You can access the name of the column we are filtering through
+   *     // `propertyRef.fullColumnName()`.
+   *     args: [propertyRef.fullColumnName(), '=', value.toLowerCase()]
+   *   };
+   * }
+   * ```
+   *
+   * A better `lowercaseEq` would also lowercase the column value:
+   *
+   * ```js
+   * function lowercaseEq(propertyRef, value, modelClass) {
+   *   // Always use knex columnization for column references when building raw queries to make sure column names are escaped.
+   *   return {
+   *     method: 'whereRaw',
+   *     // Always escape the user input when building raw queries.
+   *     args: ['lower(' + columnName + ') = ?', value.toLowerCase()];
+   *     args: ['lower(??) = ?', [propertyRef.fullColumnName(), value.toLowerCase()]]
+   *   };
+   * }
+   * ```
+   *
+   * `propertyRef.coerce(value)` converts the value to the type of the property as given in the
+   * model's `jsonSchema`. It throws an error with status code 400 if the value cannot be converted.
+   *
+   * The `method` must be the name of one of the knex.js where methods. `args` is the array
+   * of arguments for the method. The filter is invoked somewhat like this:
+   *
+   * ```js
+   * const filter = lowercaseEq(propertyRef, value, modelClass);
+   * queryBuilder[filter.method].apply(queryBuilder, filter.args);
+   * ```
+   *
+   * The args array can be anything the given where method accepts as an argument. Check
+   * out the knex.js documentation.
+   *
+   * To register `lowercaseEq`:
+   *
+   * ```js
+   * builder.registerFilter('leq', lowercaseEq);
+   * ```
+   *
+   * Now you could use your filter in the query parameters like this `someProperty:leq=Hello`.
+   *
+   * @param {string} filterName
+   * @param {function} filter
+   * @returns {FindQueryBuilder}
+   */
+  registerFilter(filterName, filter) {
+    this._filters[filterName] = filter;
+    return this;
+  }
+
+  /**
+   * Give names for the special parameters.
+   *
+   * This can be used to rename a special parameter for example if it collides with a property name.
+   * The following example you can fetch relations eagerly by giving a `withRelated=[pets, movies]`
+   * query parameter instead of `eager=[pets, movies]`.
+   *
+   * ```js
+   * builder.specialParameter('eager', 'withRelated');
+   * ```
+   *
+   * @param name
+   * @param parameterName
+   * @returns {FindQueryBuilder}
+   */
+  specialParameter(name, parameterName) {
+    this._specialParameterMap[name] = parameterName;
+    this._inverseSpecialParameterMap = _.invert(this._specialParameterMap);
+    return this;
+  }
+
+  /**
+   * Builds the find query for the given query parameters.
+   *
+   * ```js
+   * var findQuery = require('objection-find');
+   * var Person = require('../models/Person');
+   *
+   * expressApp.get('/api/persons', function (req, res, next) {
+   *   findQuery(Person).build(req.query).then(function (persons) {
+   *     res.send(persons);
+   *   }).catch(next);
+   * });
+   * ```
+   *
+   * @param {Object<string, string|Array.<string>>} params
+   *    Query parameter hash. For example express's `req.query`.
+   *
+   * @param {QueryBuilder=} builder
+   *    Optional objection.js QueryBuilder instance. If not given,
+   *    modelClass.query() is used.
+   *
+   * @returns {QueryBuilder}
+   */
+  build(params, builder) {
+    builder = builder || this._modelClass.query();
+
+    if (!this._collectErrors) {
+      return this._buildQuery(params, builder);
+    }
+
+    const errors = [];
+    this._buildQuery(params, builder, errors);
+
+    if (!_.isEmpty(errors)) {
+      throw FindQueryError.fromErrors(errors);
+    }
+
+    return builder;
+  }
+
+  /**
+   * Checks the query parameters without running a query.
+   *
+   * Returns the errors of all invalid query parameters as a list of `FindQueryError`s.
+   * The list is empty if the query parameters are valid. The filters that depend on the
+   * database are only checked if the model class is bound to a knex instance, and
+   * custom filters are called twice for that.
+   *
+   * ```js
+   * const errors = findQuery(Person).allow('firstName').validate(req.query);
+   *
+   * if (errors.length) {
+   *   res.status(400).send({ errors });
+   * }
+   * ```
+   *
+   * @param {Object<string, string|Array.<string>>} params
+   * @returns {Array.<FindQueryError>}
+   */
+  validate(params) {
+    const errors = [];
+    this._buildQuery(params, this._modelClass.query(), errors);
+    return errors;
+  }
+
+  /**
+   * Builds the query. If `errors` is given, the errors are pushed into it and the
+   * invalid query parameters are skipped instead of throwing the first error.
+   *
+   * @private
+   */
+  _buildQuery(params, builder, errors) {
+    const collect = errorCollector(errors);
+    params = this._parseQueryParameters(params, errors);
+
+    if (!_.isEmpty(this._scopes)) {
+      // objection.js calls the `onBuild` hooks of the context for the query and for its child
+      // queries like the eager queries, the relations joined by `join` and the count of `range`.
+      builder.context({
+        onBuild: _.compact(
+          _.concat(builder.context().onBuild, (builder) => this._scopeQuery(builder))
+        ),
+      });
+    }
+
+    collect(() => this._buildCount(params, builder));
+    collect(() => this._buildSelect(params, builder));
+    collect(() => this._buildJoins(params, builder));
+    this._buildFilters(params, builder, errors);
+    collect(() => this._buildGroupBy(params, builder));
+    collect(() => this._buildOrderBy(params, builder));
+    collect(() => this._buildCursor(params, builder));
+    collect(() => this._buildRange(params, builder));
+    collect(() => this._buildEager(params, builder));
+    collect(() => this._buildJoin(params, builder));
+
+    return builder;
+  }
+
+  _parseQueryParameters(params, errors) {
+    const collect = errorCollector(errors);
+
+    params = _.filter(this._createQueryParameters(params, errors), (param) => {
+      return collect(() => {
+        this._checkAllowed(param);
+        return true;
+      });
+    });
+
+    return this._mergeDefaults(params);
+  }
+
+  /**
+   * Merges the default query parameters under the client's query parameters `params` and
+   * the forced ones over them. The errors of the defaults are not the client's fault, so
+   * they are thrown as such.
+   *
+   * @private
+   */
+  _mergeDefaults(params) {
+    const defaults = latestOfKind(this._createQueryParameters(this._defaults));
+    const forced = latestOfKind(this._createQueryParameters(this._forcedDefaults));
+    const overrides = (param, defaultParam) => {
+      if (defaultParam.specialParameter) {
+        return (
+          parameterKind(param) === parameterKind(defaultParam) || replacesRange(param, defaultParam)
+        );
+      }
+
+      // The references of a group are the ones of the filters inside it.
+      return (
+        !!(param.filter || param.groups) &&
+        _.some(param.propertyRefs, (ref) =>
+          _.some(
+            defaultParam.propertyRefs,
+            (defaultRef) => this._resolveAlias(ref.str) === this._resolveAlias(defaultRef.str)
+          )
+        )
+      );
+    };
+
+    return _.concat(
+      _.reject(defaults, (defaultParam) =>
+        _.some(params, (param) => overrides(param, defaultParam))
+      ),
+      _.reject(params, (param) =>
+        _.some(
+          forced,
+          (forcedParam) => forcedParam.specialParameter && overrides(param, forcedParam)
+        )
+      ),
+      forced
+    );
+  }
+
+  /**
+   * Check that we only have allowed property references in the query parameter.
+   *
+   * @private
+   */
+  _checkAllowed(param) {
+    if (param.search) {
+      // The searched properties are not chosen by the client.
+      return;
+    }
+
+    if (param.groups) {
+      // The filters inside groups are checked one by one so that their filters are checked too.
+      _.each(_.flatten(param.groups), (param) => this._checkAllowed(param));
+      return;
+    }
+
+    if (
+      param.relationExpression &&
+      this._allowEager &&
+      !this._allowedRelations().isSubExpression(param.relationExpression)
+    ) {
+      utils.throwError('Relation expression "' + param.value + '" not allowed', {
+        code: codes.RELATION_NOT_ALLOWED,
+        key: param.key,
+        value: param.value,
+      });
+    }
+
+    const fail = (ref, message, code) => {
+      utils.throwError(message, {
+        code: code,
+        key: param.key,
+        value: param.value,
+        propertyRef: ref.str,
+      });
+    };
+
+    const check = (refs, whitelist) => {
+      _.each(refs, (ref) => {
+        const allowed = whitelist && this._findPropertyKey(whitelist, ref);
+        const deniedKey = this._findPropertyKey(this._deny, ref);
+        const denied = deniedKey !== undefined && this._deny[deniedKey];
+
+        if (
+          (whitelist && allowed === undefined) ||
+          denied === true ||
+          (this._strictAliases && this._usesRealName(ref.str))
+        ) {
+          fail(ref, 'Property reference "' + ref.str + '" not allowed', codes.PROPERTY_NOT_ALLOWED);
+        }
+
+        // The filters of the property can be restricted by `allow` and `deny`.
+        const allowedFilters = whitelist ? whitelist[allowed] : true;
+        const filterName = param.filterName;
+
+        if (
+          filterName &&
+          ((_.isArray(allowedFilters) && !_.includes(allowedFilters, filterName)) ||
+            _.includes(denied, filterName))
+        ) {
+          fail(
+            ref,
+            'Filter "' + filterName + '" not allowed for property reference "' + ref.str + '"',
+            codes.FILTER_NOT_ALLOWED
+          );
+        }
+      });
+    };
+
+    check(param.propertyRefs, this._whitelist(param));
+    check(param.select, this._allowSelectAll ? null : this._allowSelect);
+  }
+
+  /**
+   * Returns the key of the `allow` or `deny` hash that refers to the same property as `ref`.
+   * The keys and the reference are compared by their real names so that neither the alias
+   * nor the real name of a property gets around the lists. `allow('metadata')` also matches
+   * the JSON fields like `metadata:address.city`.
+   *
+   * @private
+   */
+  _findPropertyKey(hash, ref) {
+    const names = _.uniq(_.map([ref.str, jsonColumn(ref)], (str) => this._resolveAlias(str)));
+    let key;
+
+    _.find(names, (name) => {
+      key = _.findKey(hash, (value, str) => this._resolveAlias(str) === name);
+      return key !== undefined;
+    });
+
+    return key;
+  }
+
+  /**
+   * Returns true if the reference `str` uses the real name of a property or relation that
+   * has an alias, for example `parent.age` or `owner.firstName` when `owner` is an alias of
+   * `parent` and `owner.name` an alias of `parent.firstName`.
+   *
+   * @private
+   */
+  _usesRealName(str) {
+    const path = str.split(':')[0].split('.');
+    const aliasLength = _.findLast(_.range(path.length + 1), (i) => {
+      return i === 0 || !!this._aliases[_.take(path, i).join('.')];
+    });
+    const realPath = this._resolveAlias(str).split(':')[0].split('.');
+    // The number of parts of the real path that came from the alias.
+    const resolvedLength = realPath.length - (path.length - aliasLength);
+
+    return _.some(this._aliases, (target) => {
+      const targetPath = target.split('.');
+
+      return (
+        targetPath.length > resolvedLength &&
+        _.isEqual(_.take(realPath, targetPath.length), targetPath)
+      );
+    });
+  }
+
+  /**
+   * Returns the whitelist for the property references of the query parameter or null
+   * if all property references are allowed.
+   *
+   * @private
+   */
+  _whitelist(param) {
+    let whitelist = null;
+
+    if (param.filterName) {
+      whitelist = this._allowFilter;
+    } else if (param.orderBy) {
+      whitelist = this._allowOrderBy;
+    } else if (param.groupBy) {
+      whitelist = this._allowGroupBy;
+    }
+
+    return whitelist || (this._allowAll ? null : this._allow);
+  }
+
+  /**
+   * Adds the arguments of `allow`, `deny` and the other whitelist methods to `hash`.
+   *
+   * @private
+   */
+  _addPropertyFilters(hash, args) {
+    hash = hash || Object.create(null);
+
+    _.each(propertyFilters(args), (filterNames, str) => {
+      // Fails early for invalid property references.
+      this._parsePropertyRef(str);
+      hash[str] = filterNames;
+    });
+
+    return hash;
+  }
+
+  _createQueryParameters(params, errors) {
+    const collect = errorCollector(errors);
+    const parsed = [];
+
+    _.each(params, (value, key) => {
+      // `firstName:in[]=a&firstName:in[]=b` is the same as `firstName:in=a,b`.
+      key = key.replace(/\[\]$/, '');
+
+      const isGroup = QueryParameter.isGroup(this._inverseSpecialParameterMap[key]);
+      const isList = _.includes(LIST_FILTERS, _.last(key.replace(/:all$/, '').split(':')));
+      const values = _.isArray(value) && !isGroup && !isList ? value : [value];
+
+      _.each(values, (value) => {
+        collect(() => parsed.push(new QueryParameter(value, key, this)));
+      });
+    });
+
+    return parsed;
+  }
+
+  _buildCount(params, builder) {
+    const countParam = _.find(params, { key: 'count' });
+    if (countParam) {
+      builder.count(countParam.value);
+    }
+  }
+
+  _buildJoins(params, builder) {
+    // Array of `{relation, ownerTable, alias}` objects returned by `PropertyRef.joins`.
+    const joins = [];
+
+    _.each(params, (param) => {
+      _.each(param.propertyRefs, (ref) => {
+        joins.push(...ref.joins());
+      });
+    });
+
+    _.each(_.uniqBy(joins, 'alias'), (join) => {
+      join.relation.join(builder, {
+        joinOperation: 'leftJoin',
+        relatedTableAlias: join.alias,
+        ownerTable: join.ownerTable,
+        relatedJoinSelectQuery: this._relatedJoinQuery(join.relation, builder),
+      });
+    });
+
+    if (!_.isEmpty(joins) && !_.find(params, { specialParameter: 'select' })) {
+      builder.select(this._modelClass.tableName + '.*');
+    }
+  }
+
+  /**
+   * Builds the `select` parameter.
+   *
+   * The model's own properties are selected from the query itself and the properties of
+   * relations like `pets.name` from the eagerly fetched relations. The identifiers and the
+   * columns needed to fetch the relations are always selected too. The relations must be
+   * fetched using `eager` or `join`, and the columns cannot be selected for `groupBy` and
+   * `count` which select their own columns.
+   *
+   * @private
+   */
+  _buildSelect(params, builder) {
+    const selectParam = _.find(params, { specialParameter: 'select' });
+
+    if (!selectParam) {
+      return;
+    }
+
+    const fail = (message, propertyRef) => {
+      utils.throwError(message, {
+        code: codes.INVALID_SELECT,
+        key: selectParam.key,
+        value: selectParam.value,
+        propertyRef: propertyRef || null,
+      });
+    };
+
+    const aggregateParam = _.find(params, (param) =>
+      _.includes(['groupBy', 'count'], param.specialParameter)
+    );
+
+    if (aggregateParam) {
+      fail('Select cannot be combined with "' + aggregateParam.key + '"');
+    }
+
+    const byPath = _.groupBy(selectParam.select, (propertyRef) => {
+      return _.map(propertyRef.relations, 'name').join('.');
+    });
+    const expressions = _(params)
+      .filter((param) => param.specialParameter === 'eager' || param.specialParameter === 'join')
+      .map('relationExpression')
+      .value();
+
+    _.each(byPath, (propertyRefs, path) => {
+      if (path && !_.some(expressions, (expression) => expression.isSubExpression(path))) {
+        fail(
+          'Cannot select "' +
+            propertyRefs[0].str +
+            '" without fetching the relation using eager or join',
+          propertyRefs[0].str
+        );
+      }
+    });
+
+    _.each(byPath, (propertyRefs, path) => {
+      if (!path) {
+        // The cursors are read from the ordering properties of the result rows.
+        const orderRefs = this._isCursorQuery(params)
+          ? _(params).flatMap('orderBy').compact().map('propertyRef').reject('relation').value()
+          : [];
+
+        builder.select(selectColumns(this._modelClass, propertyRefs.concat(orderRefs), []));
+      } else {
+        const relation = _.last(propertyRefs[0].relations);
+
+        builder.modifyGraph(path, (builder) => {
+          builder.select(
+            selectColumns(relation.relatedModelClass, propertyRefs, relation.relatedProp.cols)
+          );
+        });
+      }
+    });
+  }
+
+  _buildFilters(params, builder, errors) {
+    const collect = errorCollector(errors);
+    const filterParams = _.filter(params, (param) => param.filter || param.groups || param.search);
+
+    _.each(filterParams, (param) => {
+      collect(() => {
+        if (errors) {
+          this._checkFilterSql(param, builder);
+        }
+
+        this._buildFilter(param, builder);
+      });
+    });
+  }
+
+  /**
+   * Some filters can only be checked when the SQL dialect is known, for example the array
+   * filters that require PostgreSQL. When the errors are collected and the query has a knex
+   * instance, the filter is compiled alone first so that these errors are collected too.
+   * Otherwise they are thrown when the query is executed.
+   *
+   * @private
+   */
+  _checkFilterSql(param, builder) {
+    const knex = builder.unsafeKnex();
+
+    if (!knex) {
+      return;
+    }
+
+    const query = this._modelClass.query(knex);
+    this._buildFilter(param, query);
+
+    try {
+      query.toKnexQuery().toSQL();
+    } catch (err) {
+      if (err instanceof FindQueryError) {
+        err.withParameter(param.key, param.value);
+      }
+
+      throw err;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _buildFilter(param, builder, boolOp) {
+    if (param.groups) {
+      return this._buildGroups(param, builder, boolOp);
+    }
+
+    if (param.search) {
+      const columns = _.map(param.search, (ref) => ref.fullColumnName());
+      return builder[utils.withBoolOp('where', boolOp)](search.where(columns, param.value));
+    }
+
+    const refNames = _.keys(param.propertyRefs);
+
+    if (refNames.length === 1) {
+      const ref = param.propertyRefs[refNames[0]];
+      ref.buildFilter(param, builder, boolOp);
+    } else {
+      // If there are multiple property refs, they are combined with an `OR` operator.
+      // `!a|b` means that neither of them may match, so the negations are combined with `AND`.
+      const refBoolOp = param.quantifier === 'none' ? null : 'or';
+
+      builder[utils.withBoolOp('where', boolOp)](function () {
+        const builder = this;
+
+        _.each(param.propertyRefs, function (ref) {
+          ref.buildFilter(param, builder, refBoolOp);
+        });
+      });
+    }
+  }
+
+  /**
+   * Builds the `and`, `or` and `not` groups. The whole parameter and each of its groups
+   * are wrapped in parentheses and the parameters inside a group are combined with `AND`.
+   *
+   * @private
+   */
+  _buildGroups(param, builder, boolOp) {
+    const self = this;
+    const groupBoolOp = param.specialParameter === 'or' ? 'or' : null;
+    const method = param.specialParameter === 'not' ? 'whereNot' : 'where';
+
+    builder[utils.withBoolOp('where', boolOp)](function () {
+      const builder = this;
+
+      _.each(param.groups, (group) => {
+        builder[utils.withBoolOp(method, groupBoolOp)](function () {
+          const builder = this;
+
+          _.each(group, (groupParam) => {
+            self._buildFilter(groupParam, builder);
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * @private
+   */
+  _buildGroupBy(params, builder) {
+    const groupByParam = _.find(params, { specialParameter: 'groupBy' });
+    if (groupByParam) {
+      const columns = _.invokeMap(groupByParam.groupBy, 'fullColumnName');
+      builder.select(columns);
+      builder.groupBy(columns);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _buildOrderBy(params, builder) {
+    // When paging backwards the order is reversed and the results are reversed back afterwards.
+    const reverse = !!_.find(params, { specialParameter: 'before' });
+    const keys = this._orderKeys(params);
+    const searchParam = _.find(params, 'search');
+
+    if (_.isEmpty(keys) && searchParam && this._orderBySearchRelevance) {
+      const columns = _.map(searchParam.search, (ref) => ref.fullColumnName());
+
+      // The ranking depends on the database so it's added when the dialect is known.
+      builder.onBuild((builder) => search.orderByRank(builder, columns, searchParam.value));
+    }
+
+    if (_.some(keys, 'select') && !builder.hasSelects()) {
+      builder.select(this._modelClass.tableName + '.*');
+    }
+
+    _.each(keys, (key) => {
+      let dir = key.dir;
+      let nulls = key.nulls;
+
+      if (reverse) {
+        dir = dir === 'asc' ? 'desc' : 'asc';
+        nulls = nulls && (nulls === 'first' ? 'last' : 'first');
+      }
+
+      if (key.select) {
+        builder.select(key.select);
+      }
+
+      if (nulls) {
+        // `col is null` is 0 or 1 (false or true on PostgreSQL) on all databases.
+        const column = _.isString(key.column) ? ref(key.column) : key.column;
+        builder.orderByRaw('? is null ' + (nulls === 'first' ? 'desc' : 'asc'), [column]);
+      }
+
+      builder.orderBy(key.orderColumn, dir);
+    });
+  }
+
+  /**
+   * Returns the ordering of the query as a list of keys.
+   *
+   * When cursor pagination is used, the id columns are appended to the keys (unless
+   * already ordered by) so that every row has a unique position. The `hidden` keys are
+   * not properties of the model and are removed from the results.
+   *
+   * @private
+   */
+  _orderKeys(params) {
+    const keys = [];
+    const isCursorQuery = this._isCursorQuery(params);
+
+    _.each(params, (param) => {
+      _.each(param.orderBy, ({ propertyRef, dir, nulls }) => {
+        if (propertyRef.jsonPath || propertyRef.arrayLength) {
+          utils.throwError('Cannot order by "' + propertyRef.str + '"', {
+            code: codes.INVALID_ORDER_BY,
+            key: param.key,
+            value: param.value,
+            propertyRef: propertyRef.str,
+          });
+        }
+
+        if (propertyRef.aggregate) {
+          // The aggregate is only selected when the cursors need its value.
+          const aggregateAlias = ORDER_KEY_ALIAS + keys.length;
+          const aggregate = propertyRef.fullColumnName();
+
+          keys.push({
+            name: propertyRef.str,
+            dir: dir,
+            nulls: nulls,
+            column: aggregate,
+            orderColumn: aggregate,
+            select: isCursorQuery ? raw('? as ??', [aggregate, aggregateAlias]) : null,
+            property: aggregateAlias,
+            hidden: true,
+          });
+        } else if (propertyRef.relation) {
+          if (propertyRef.isToMany()) {
+            utils.throwError(
+              "Can only order by model's own properties, by BelongsToOneRelation relations' properties " +
+                'and by aggregates of other relations like "pets:count"',
+              {
+                code: codes.INVALID_ORDER_BY,
+                key: param.key,
+                value: param.value,
+                propertyRef: propertyRef.str,
+              }
+            );
+          }
+          const columnNameAlias =
+            _.map(propertyRef.relations, 'name').join('_') + _.capitalize(propertyRef.propertyName);
+
+          keys.push({
+            name: propertyRef.str,
+            dir: dir,
+            nulls: nulls,
+            column: propertyRef.fullColumnName(),
+            orderColumn: columnNameAlias,
+            select: propertyRef.fullColumnName() + ' as ' + columnNameAlias,
+            property: columnNameAlias,
+            hidden: false,
+          });
+        } else {
+          keys.push({
+            name: propertyRef.str,
+            dir: dir,
+            nulls: nulls,
+            column: propertyRef.fullColumnName(),
+            orderColumn: propertyRef.columnName,
+            select: null,
+            property: propertyRef.propertyName,
+            hidden: false,
+          });
+        }
+      });
+    });
+
+    if (isCursorQuery) {
+      const idColumns = this._modelClass.getIdColumnArray();
+      const idProperties = this._modelClass.getIdPropertyArray();
+
+      // The keyset conditions need to know where the nulls are, so nulls are placed
+      // first like the smallest values unless the ordering places them.
+      _.each(keys, (key) => {
+        key.nulls = key.nulls || (key.dir === 'asc' ? 'first' : 'last');
+      });
+
+      _.each(idProperties, (idProperty, i) => {
+        if (!_.find(keys, { name: idProperty })) {
+          keys.push({
+            name: idProperty,
+            dir: 'asc',
+            nulls: null,
+            column: this._modelClass.getTableName() + '.' + idColumns[i],
+            orderColumn: idColumns[i],
+            select: null,
+            property: idProperty,
+            hidden: false,
+          });
+        }
+      });
+    }
+
+    return keys;
+  }
+
+  /**
+   * Builds keyset pagination for the `after` and `before` cursors.
+   *
+   * The result will be `{results: [...], nextCursor: string, previousCursor: string}`.
+   *
+   * @private
+   */
+  _buildCursor(params, builder) {
+    if (!this._isCursorQuery(params)) {
+      return;
+    }
+
+    const after = _.find(params, { specialParameter: 'after' });
+    const before = _.find(params, { specialParameter: 'before' });
+    const limitParam = _.find(params, { specialParameter: 'limit' });
+
+    if (after && before) {
+      utils.throwError('Only one of cursors "after" and "before" can be given', {
+        code: codes.INVALID_CURSOR,
+        key: before.key,
+        value: before.value,
+      });
+    }
+
+    const rangeParam = _.find(params, (param) =>
+      _.includes(['rangeStart', 'rangeEnd', 'offset', 'page', 'pageSize'], param.specialParameter)
+    );
+    if (rangeParam) {
+      utils.throwError('Cursors cannot be combined with ranges', {
+        code: codes.INVALID_CURSOR,
+        key: rangeParam.key,
+        value: rangeParam.value,
+      });
+    }
+
+    const cursorParam = after || before;
+    const keys = this._orderKeys(params);
+    const keyNames = _.map(keys, 'name');
+    const limit = limitParam ? this._parseLimit(limitParam) : this._rangeSize();
+
+    if (limit !== null) {
+      // Fetch one extra row to find out if there are more rows after this page.
+      builder.limit(limit + 1);
+    }
+
+    if (cursorParam.value) {
+      let values;
+
+      try {
+        values = cursor.decode(cursorParam.value, keyNames);
+      } catch (err) {
+        throw err.withParameter(cursorParam.key, cursorParam.value);
+      }
 
-  _buildJoins(params, builder) {
-    // Array of Objection `Relation` subclass instances.
-    const relationsToJoin = [];
+      const idProperties = this._modelClass.getIdPropertyArray();
+      const nullId = _.find(
+        keys,
+        (key, i) => _.includes(idProperties, key.name) && values[i] === null
+      );
 
-    _.each(params, function (param) {
-      _.each(param.propertyRefs, (ref) => {
-        const rel = ref.relation;
-        if (rel && rel.isOneToOne()) {
-          relationsToJoin.push(rel);
-        }
-      });
-    });
+      if (nullId) {
+        utils.throwError('Invalid cursor "' + cursorParam.value + '"', {
+          code: codes.INVALID_CURSOR,
+          key: cursorParam.key,
+          value: cursorParam.value,
+        });
+      }
 
-    _.each(_.uniq(relationsToJoin, 'name'), (relation) => {
-      relation.join(builder, {
-        joinOperation: 'leftJoin',
-        relatedTableAlias: this._modelClass.tableName + '_rel_' + relation.name,
-      });
-    });
+      // `(a > 1) or (a = 1 and b > 2) or (a = 1 and b = 2 and c > 3) ...`
+      //
+      // A null is equal to a null and comes before or after all other values depending on
+      // where the ordering places the nulls. The ids are never null, so at least the last
+      // condition is always added.
+      builder.where(function () {
+        _.each(keys, (key, i) => {
+          const value = values[i];
+          const nullsAfter = key.nulls === (after ? 'last' : 'first');
 
-    if (!_.isEmpty(relationsToJoin)) {
-      builder.select(this._modelClass.tableName + '.*');
+          if (value === null && nullsAfter) {
+            return;
+          }
+
+          this.orWhere(function () {
+            _.each(_.take(keys, i), (prevKey, j) => {
+              if (values[j] === null) {
+                this.whereNull(prevKey.column);
+              } else {
+                this.where(prevKey.column, values[j]);
+              }
+            });
+
+            if (value === null) {
+              this.whereNotNull(key.column);
+            } else {
+              const greater = (key.dir === 'asc') === !!after;
+
+              this.where(function () {
+                this.where(key.column, greater ? '>' : '<', value);
+
+                if (nullsAfter) {
+                  this.orWhereNull(key.column);
+                }
+              });
+            }
+          });
+        });
+      });
     }
-  }
 
-  _buildFilters(params, builder) {
-    const filterParams = _.filter(params, 'filter');
+    const encode = (model) => {
+      return cursor.encode(
+        keyNames,
+        _.map(keys, (key) => model[key.property])
+      );
+    };
 
-    _.each(filterParams, (param) => {
-      this._buildFilter(param, builder);
+    builder.runAfter((models) => {
+      const hasMore = limit !== null && models.length > limit;
+
+      if (hasMore) {
+        models = models.slice(0, limit);
+      }
+
+      if (before) {
+        models = models.reverse();
+      }
+
+      const first = _.first(models);
+      const last = _.last(models);
+      // A cursor token marks a position, so when the page is empty the given
+      // cursor is where the pagination in the other direction continues.
+      const hasNext = after ? hasMore : !!cursorParam.value;
+      const hasPrevious = before ? hasMore : !!cursorParam.value;
+
+      const result = {
+        results: models,
+        nextCursor: hasNext ? (last ? encode(last) : cursorParam.value) : null,
+        previousCursor: hasPrevious ? (first ? encode(first) : cursorParam.value) : null,
+      };
+
+      _.each(_.filter(keys, 'hidden'), (key) => {
+        _.each(models, (model) => delete model[key.property]);
+      });
+
+      return result;
     });
   }
 
   /**
    * @private
    */
-  _buildFilter(param, builder) {
-    const refNames = _.keys(param.propertyRefs);
+  _isCursorQuery(params) {
+    return !!(
+      _.find(params, { specialParameter: 'after' }) ||
+      _.find(params, { specialParameter: 'before' })
+    );
+  }
 
-    if (refNames.length === 1) {
-      const ref = param.propertyRefs[refNames[0]];
-      ref.buildFilter(param, builder);
-    } else {
-      // If there are multiple property refs, they are combined with an `OR` operator.
-      builder.where(function () {
-        const builder = this;
+  _buildRange(params, builder) {
+    if (this._isCursorQuery(params)) {
+      // The cursor pagination limits the page itself.
+      return;
+    }
 
-        _.each(param.propertyRefs, function (ref) {
-          ref.buildFilter(param, builder, 'or');
-        });
+    const rangeStart = _.find(params, { specialParameter: 'rangeStart' });
+    const rangeEnd = _.find(params, { specialParameter: 'rangeEnd' });
+    const limit = _.find(params, { specialParameter: 'limit' });
+    const offset = _.find(params, { specialParameter: 'offset' });
+    const page = _.find(params, { specialParameter: 'page' });
+    const pageSize = _.find(params, { specialParameter: 'pageSize' });
+
+    if ((page || pageSize) && (rangeStart || rangeEnd || limit || offset)) {
+      const param = page || pageSize;
+
+      utils.throwError('Pages cannot be combined with ranges, limit and offset', {
+        code: codes.INVALID_RANGE,
+        key: param.key,
+        value: param.value,
+      });
+    }
+
+    if ((rangeStart || rangeEnd) && (limit || offset)) {
+      const param = limit || offset;
+
+      utils.throwError('Ranges cannot be combined with limit and offset', {
+        code: codes.INVALID_RANGE,
+        key: param.key,
+        value: param.value,
       });
     }
+
+    if (page || pageSize) {
+      this._buildPage(page, pageSize, builder);
+    } else if (rangeStart || rangeEnd) {
+      this._buildRangeParameters(rangeStart, rangeEnd, builder);
+    } else if (limit || offset) {
+      const size = limit ? this._parseLimit(limit) : this._rangeSize();
+
+      if (size !== null) {
+        builder.limit(size);
+      }
+
+      if (offset) {
+        builder.offset(this._parseInteger(offset, 0));
+      }
+    } else if (
+      this._rangeSize() !== null &&
+      !builder.has(/^(range|limit)$/) &&
+      !_.find(params, { specialParameter: 'join' })
+    ) {
+      // Don't return the whole table. The builder given to `build` may have its own range.
+      // The relations of `join` are in the same rows, so a limit would cut off the relations
+      // instead of the models.
+      builder.limit(this._rangeSize());
+    }
   }
 
   /**
+   * Builds `rangeStart` and `rangeEnd`. A missing `rangeStart` is zero and a missing `rangeEnd`
+   * is given by the default range size. Without a default the range continues to the last row.
+   *
    * @private
    */
-  _buildGroupBy(params, builder) {
-    const groupByParam = _.find(params, { key: 'groupBy' });
-    if (groupByParam) {
-      builder.select(groupByParam.value.split(','));
-      builder.groupBy(groupByParam.value.split(','));
+  _buildRangeParameters(rangeStart, rangeEnd, builder) {
+    const start = rangeStart ? _.parseInt(rangeStart.value) : 0;
+    const end = rangeEnd ? _.parseInt(rangeEnd.value) : null;
+
+    if (_.isNaN(start) || _.isNaN(end) || start < 0 || (end !== null && end < start)) {
+      const invalid = _.isNaN(start) || start < 0 ? rangeStart : rangeEnd;
+
+      utils.throwError(
+        'Invalid range start or end "' +
+          (rangeStart ? rangeStart.value : '') +
+          ' - ' +
+          (rangeEnd ? rangeEnd.value : '') +
+          '"',
+        { code: codes.INVALID_RANGE, key: invalid.key, value: invalid.value }
+      );
+    }
+
+    const size = end !== null ? this._checkRangeSize(end - start + 1, rangeEnd) : this._rangeSize();
+
+    if (size !== null) {
+      builder.range(start, start + size - 1);
+    } else {
+      builder.range().offset(start);
     }
   }
 
   /**
+   * Returns the number of rows to return when the query parameters don't give it, or null
+   * if the rows are not limited.
+   *
    * @private
    */
-  _buildOrderBy(params, builder) {
-    const self = this;
-
-    _.each(params, (param) => {
-      const orderType = param.specialParameter;
-      let dir = 'asc';
+  _rangeSize() {
+    const size = this._defaultRange !== null ? this._defaultRange : this._maxRange;
+    return this._maxRange !== null ? Math.min(size, this._maxRange) : size;
+  }
 
-      if (orderType && orderType.indexOf('orderBy') !== -1) {
-        const propertyRef = param.propertyRefs[0];
+  /**
+   * Checks `size` against `maxRange`. Returns the size or the maximum if the range is clamped.
+   *
+   * @private
+   */
+  _checkRangeSize(size, param) {
+    if (this._maxRange === null || size <= this._maxRange) {
+      return size;
+    }
 
-        if (orderType === 'orderByDesc') {
-          dir = 'desc';
-        }
+    if (!this._clampRange) {
+      utils.throwError('Range size ' + size + ' exceeds the maximum ' + this._maxRange, {
+        code: codes.INVALID_RANGE,
+        key: param.key,
+        value: param.value,
+      });
+    }
 
-        const rel = propertyRef.relation;
-        if (rel) {
-          if (!rel.isOneToOne()) {
-            utils.throwError(
-              "Can only order by model's own properties and by BelongsToOneRelation relations' properties"
-            );
-          }
-          const columnNameAlias = rel.name + _.capitalize(propertyRef.propertyName);
-          builder.select(propertyRef.fullColumnName() + ' as ' + columnNameAlias);
-          builder.orderBy(columnNameAlias, dir);
-        } else {
-          builder.orderBy(propertyRef.columnName, dir);
-        }
-      }
-    });
+    return this._maxRange;
   }
 
-  _buildRange(params, builder) {
-    let rangeStart = _.find(params, { specialParameter: 'rangeStart' });
-    let rangeEnd = _.find(params, { specialParameter: 'rangeEnd' });
+  /**
+   * Builds `page` and `pageSize`. The pages start from zero and the default page size is
+   * given by the default range size.
+   *
+   * @private
+   */
+  _buildPage(page, pageSize, builder) {
+    const number = page ? this._parseInteger(page, 0) : 0;
+    const size = pageSize ? this._parseLimit(pageSize) : this._rangeSize();
 
-    if (rangeStart && rangeEnd) {
-      rangeStart = _.parseInt(rangeStart.value);
-      rangeEnd = _.parseInt(rangeEnd.value);
+    if (size === null) {
+      utils.throwError('Page size is required', {
+        code: codes.INVALID_RANGE,
+        key: page.key,
+        value: page.value,
+      });
+    }
 
-      if (_.isNaN(rangeStart) || _.isNaN(rangeEnd)) {
-        utils.throwError('Invalid range start or end "' + rangeStart + ' - ' + rangeEnd + '"');
-      }
+    builder.page(number, size);
+  }
 
-      builder.range(rangeStart, rangeEnd);
+  /**
+   * Parses the number of rows of `limit` or `pageSize` and checks it against `maxRange`.
+   *
+   * @private
+   */
+  _parseLimit(param) {
+    return this._checkRangeSize(this._parseInteger(param, 1), param);
+  }
+
+  /**
+   * Parses an integer that is at least `min`.
+   *
+   * @private
+   */
+  _parseInteger(param, min) {
+    const value = _.parseInt(param.value);
+
+    if (_.isNaN(value) || value < min) {
+      utils.throwError('Invalid ' + param.key + ' "' + param.value + '"', {
+        code: codes.INVALID_RANGE,
+        key: param.key,
+        value: param.value,
+      });
     }
+
+    return value;
   }
 
   _buildEager(params, builder) {
@@ -502,10 +2009,10 @@ class FindQueryBuilder {
     }
 
     if (this._allowEager) {
-      builder.allowGraph(this._allowEager);
+      builder.allowGraph(this._allowedRelations());
     }
 
-    builder.withGraphFetched(eager.value);
+    builder.withGraphFetched(eager.relationExpression);
   }
 
   _buildJoin(params, builder) {
@@ -516,10 +2023,159 @@ class FindQueryBuilder {
     }
 
     if (this._allowEager) {
-      builder.allowGraph(this._allowEager);
+      builder.allowGraph(this._allowedRelations());
+    }
+
+    builder.withGraphJoined(join.relationExpression);
+
+    if (!_.isEmpty(this._scopes)) {
+      // The joined relations are added before the `onBuild` hooks are called.
+      _.each(graphPaths(builder.graphExpressionObject()), (path) => {
+        builder.modifyGraph(path, (query) => this._scopeQuery(query));
+      });
+    }
+  }
+
+  /**
+   * Adds the scope conditions to `builder` in their own group unless it already has them.
+   *
+   * @private
+   */
+  _scopeQuery(builder) {
+    const scopes = this._scopes;
+    const isScope = (op) => _.get(op, ['args', 0, 'scopeOf']) === this;
+
+    if (_.isEmpty(scopes) || builder.has(isScope)) {
+      return builder;
+    }
+
+    const modelClass = builder.modelClass();
+    const table = builder.tableRefFor(modelClass);
+    const group = function () {
+      _.each(scopes, (scope) => scope(this, modelClass, table));
+    };
+
+    // Marks the group so that the clones of the query are not scoped again.
+    group.scopeOf = this;
+    return builder.where(group);
+  }
+
+  /**
+   * Returns the query of the related table for `relation.join`. A scoped query is joined
+   * as a subquery, an unscoped one as the table itself.
+   *
+   * @private
+   */
+  _relatedJoinQuery(relation, builder) {
+    return this._scopeQuery(relation.relatedModelClass.query().childQueryOf(builder));
+  }
+
+  /**
+   * Parses the relation expression of `eager` or `join`. Returns the expression of the real
+   * relations and checks that they exist.
+   *
+   * @private
+   */
+  _parseRelationExpression(value) {
+    let expression;
+
+    try {
+      expression = RelationExpression.create(String(value));
+    } catch (err) {
+      utils.throwError('parameter: invalid relation expression "' + value + '"', {
+        code: codes.INVALID_RELATION_EXPRESSION,
+      });
+    }
+
+    return this._resolveRelations(expression.node, null, null, this._modelClass);
+  }
+
+  /**
+   * Returns the `allowEager` expression of the real relations or null.
+   *
+   * @private
+   */
+  _allowedRelations() {
+    if (!this._allowEager) {
+      return null;
     }
 
-    builder.withGraphJoined(join.value);
+    return this._resolveRelations(RelationExpression.create(this._allowEager).node, null, null);
+  }
+
+  /**
+   * Returns an expression of the real relations of the children of a relation expression node.
+   * `path` and `realPath` are the public and the real relation paths of the node, or null for
+   * the root. An alias can stand for several relations like `grandparent: 'parent.parent'`.
+   * If `modelClass` is given, the relations are checked to exist and, with `strictAliases`,
+   * to be referred to using their public names.
+   *
+   * @private
+   */
+  _resolveRelations(node, path, realPath, modelClass) {
+    return _.reduce(
+      node.$childNames,
+      (expression, childName) => {
+        const child = node[childName];
+        const childPath = path ? path + '.' + child.$relation : child.$relation;
+        const realParts = this._resolveAlias(childPath).split('.');
+        const parentParts = realPath ? realPath.split('.') : [];
+        const fail = (message, code) => {
+          utils.throwError(message, { code: code, propertyRef: childPath });
+        };
+
+        if (modelClass && this._strictAliases && this._usesRealName(childPath)) {
+          fail('Relation "' + childPath + '" not allowed', codes.RELATION_NOT_ALLOWED);
+        }
+
+        if (
+          realParts.length <= parentParts.length ||
+          !_.isEqual(_.take(realParts, parentParts.length), parentParts)
+        ) {
+          fail('parameter: unknown relation "' + childPath + '"', codes.UNKNOWN_RELATION);
+        }
+
+        let relatedModelClass = modelClass;
+
+        const nodes = _.map(_.drop(realParts, parentParts.length), (relationName) => {
+          if (relatedModelClass) {
+            const relation = relatedModelClass.getRelationUnsafe(relationName);
+
+            if (!relation) {
+              fail('parameter: unknown relation "' + childPath + '"', codes.UNKNOWN_RELATION);
+            }
+
+            relatedModelClass = relation.relatedModelClass;
+          }
+
+          return { $name: relationName, $relation: relationName };
+        });
+
+        const leaf = _.last(nodes);
+        const children = this._resolveRelations(
+          child,
+          childPath,
+          realParts.join('.'),
+          relatedModelClass
+        ).node;
+
+        // The modifiers, the recursion and the `as` name of the node apply to the last relation.
+        _.assign(leaf, _.pick(children, children.$childNames), {
+          $name: child.$name === child.$relation ? leaf.$relation : child.$name,
+          $modify: child.$modify,
+          $recursive: child.$recursive,
+          $allRecursive: child.$allRecursive,
+          $childNames: children.$childNames,
+        });
+
+        const root = _.reduceRight(nodes, (childNode, parentNode) =>
+          _.assign(parentNode, { [childNode.$name]: childNode })
+        );
+
+        return expression.merge({ [nodes[0].$name]: root });
+      },
+      RelationExpression.create('')
+    );
   }
 
   _parsePropertyRefs(refs) {
@@ -533,6 +2189,29 @@ class FindQueryBuilder {
     );
   }
 
+  /**
+   * Replaces the longest aliased prefix of the relation path of `str` with the real
+   * relations and properties. The aggregate and field expression parts are kept as such.
+   *
+   * @private
+   */
+  _resolveAlias(str) {
+    const index = str.indexOf(':');
+    const path = index === -1 ? str : str.slice(0, index);
+    const suffix = index === -1 ? '' : str.slice(index);
+    const parts = path.split('.');
+
+    for (let i = parts.length; i > 0; --i) {
+      const alias = this._aliases[_.take(parts, i).join('.')];
+
+      if (alias) {
+        return [alias].concat(_.drop(parts, i)).join('.') + suffix;
+      }
+    }
+
+    return str;
+  }
+
   _parsePropertyRef(ref) {
     if (!this._propertyRefCache[ref]) {
       this._propertyRefCache[ref] = new PropertyRef(ref, this);
@@ -546,4 +2225,183 @@ function toArray() {
   return _(arguments).flattenDeep().compact().value();
 }
 
+/**
+ * Merges the options given to `findQuery` over the `findConfig` of the model. The options
+ * replace the ones of the model, except the objects of `MERGED_CONFIG_OPTIONS` which are
+ * merged key by key. The `CUMULATIVE_CONFIG_OPTIONS` are left out of `config` since they
+ * are applied in addition to the ones of the model.
+ *
+ * @private
+ */
+function mergeConfig(modelConfig, config) {
+  config = _.omit(config, CUMULATIVE_CONFIG_OPTIONS);
+
+  return _.assignWith({}, modelConfig, config, (modelValue, value, option) => {
+    if (_.includes(MERGED_CONFIG_OPTIONS, option) && !_.isNil(value)) {
+      return _.assign({}, modelValue, value);
+    }
+
+    return value === undefined ? modelValue : value;
+  });
+}
+
+/**
+ * Returns the paths of all relations of an objection.js relation expression object,
+ * for example `['parent', 'parent.movies']` for `parent.movies`.
+ *
+ * @private
+ */
+function graphPaths(node, prefix) {
+  return _.flatMap(node.$childNames, (childName) => {
+    const path = prefix ? prefix + '.' + childName : childName;
+    return [path].concat(graphPaths(node[childName], path));
+  });
+}
+
+/**
+ * Qualifies the column names of `where` arguments with `table`.
+ *
+ * @private
+ */
+function qualifyColumns(args, table) {
+  const qualify = (column) => (_.includes(column, '.') ? column : table + '.' + column);
+
+  if (_.isString(args[0])) {
+    return [qualify(args[0])].concat(_.tail(args));
+  } else if (_.isPlainObject(args[0])) {
+    return [_.mapKeys(args[0], (value, column) => qualify(column))].concat(_.tail(args));
+  }
+
+  return args;
+}
+
+/**
+ * Converts the arguments of `allow` and `deny` into a hash from property references to lists
+ * of filters. Property references given as strings are mapped to true.
+ *
+ * @private
+ */
+function propertyFilters(args) {
+  return _.reduce(
+    toArray(args),
+    (output, item) => {
+      if (_.isPlainObject(item)) {
+        _.each(item, (filterNames, str) => {
+          output[str] = filterNames === true ? true : toArray(filterNames);
+        });
+      } else {
+        output[item] = true;
+      }
+
+      return output;
+    },
+    {}
+  );
+}
+
+/**
+ * Returns the JSON column of a JSON field reference like `metadata` of `metadata:address.city`.
+ *
+ * @private
+ */
+function jsonColumn(ref) {
+  return ref.jsonPath ? ref.str.slice(0, ref.str.indexOf(':')) : ref.str;
+}
+
+/**
+ * Returns the columns to select for the given property references of `modelClass`.
+ *
+ * The identifier columns, the given `keyColumns` and the columns that the relations of
+ * `modelClass` are joined with are always selected so that relations can be fetched.
+ *
+ * @private
+ */
+function selectColumns(modelClass, propertyRefs, keyColumns) {
+  const relationColumns = _.flatMap(
+    modelClass.getRelations(),
+    (relation) => relation.ownerProp.cols
+  );
+  const columns = _.map(propertyRefs, 'columnName').concat(
+    modelClass.getIdColumnArray(),
+    keyColumns,
+    relationColumns
+  );
+
+  return _.uniq(columns).map((column) => modelClass.getTableName() + '.' + column);
+}
+
+/**
+ * Returns the kind of a special parameter for overriding the defaults. The orderings
+ * are one kind.
+ *
+ * @private
+ */
+function parameterKind(param) {
+  if (param.orderBy) {
+    return 'orderBy';
+  }
+
+  return param.specialParameter;
+}
+
+/**
+ * Returns true if the client's `param` replaces the default range parameter `defaultParam`.
+ * A range of any style replaces all of the default range parameters and a cursor all of them
+ * except `limit`, which is the size of the cursor page.
+ *
+ * @private
+ */
+function replacesRange(param, defaultParam) {
+  const kind = defaultParam.specialParameter;
+
+  if (!_.includes(RANGE_PARAMETERS, kind)) {
+    return false;
+  }
+
+  if (param.specialParameter === 'after' || param.specialParameter === 'before') {
+    return kind !== 'limit';
+  }
+
+  return _.includes(RANGE_PARAMETERS, param.specialParameter);
+}
+
+/**
+ * Removes the special parameters that are followed by a parameter of the same kind, so that
+ * for example a later `orderByDesc` default replaces an earlier `orderBy`.
+ *
+ * @private
+ */
+function latestOfKind(params) {
+  return _.reject(
+    params,
+    (param, i) =>
+      !!param.specialParameter &&
+      _.some(_.drop(params, i + 1), (other) => parameterKind(other) === parameterKind(param))
+  );
+}
+
+/**
+ * Returns a function that calls `fn` and pushes a thrown `FindQueryError` into
+ * `errors` instead of throwing it. Without `errors` everything is thrown as such.
+ *
+ * @private
+ */
+function errorCollector(errors) {
+  return (fn) => {
+    if (!errors) {
+      return fn();
+    }
+
+    try {
+      return fn();
+    } catch (err) {
+      if (!(err instanceof FindQueryError)) {
+        throw err;
+      }
+
+      errors.push(err);
+    }
+  };
+}
+
 module.exports = FindQueryBuilder;
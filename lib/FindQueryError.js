@@ -0,0 +1,149 @@
+'use strict';
+
+/**
+ * Error codes of `FindQueryError`.
+ *
+ * @private
+ */
+const CODES = Object.freeze({
+  INVALID_PARAMETER: 'INVALID_PARAMETER',
+  INVALID_PARAMETERS: 'INVALID_PARAMETERS',
+  INVALID_FILTER: 'INVALID_FILTER',
+  INVALID_VALUE: 'INVALID_VALUE',
+  INVALID_ORDER_BY: 'INVALID_ORDER_BY',
+  INVALID_RANGE: 'INVALID_RANGE',
+  INVALID_CURSOR: 'INVALID_CURSOR',
+  INVALID_SELECT: 'INVALID_SELECT',
+  INVALID_RELATION_EXPRESSION: 'INVALID_RELATION_EXPRESSION',
+  UNKNOWN_RELATION: 'UNKNOWN_RELATION',
+  UNKNOWN_PROPERTY: 'UNKNOWN_PROPERTY',
+  INVALID_AGGREGATE: 'INVALID_AGGREGATE',
+  PROPERTY_NOT_ALLOWED: 'PROPERTY_NOT_ALLOWED',
+  FILTER_NOT_ALLOWED: 'FILTER_NOT_ALLOWED',
+  RELATION_NOT_ALLOWED: 'RELATION_NOT_ALLOWED',
+});
+
+/**
+ * The error thrown for invalid query parameters.
+ *
+ * In addition to the human readable `message` the error tells which query parameter
+ * failed and why in a machine readable form:
+ *
+ * ```js
+ * try {
+ *   findQuery(Person).allow('firstName').build({ 'lastName:eq': 'Smith' });
+ * } catch (err) {
+ *   err.code; // 'PROPERTY_NOT_ALLOWED'
+ *   err.key; // 'lastName:eq'
+ *   err.value; // 'Smith'
+ *   err.propertyRef; // 'lastName'
+ * }
+ * ```
+ *
+ * @param {string} message
+ * @param {{code: string, key: string, value: *, propertyRef: string, errors: Array.<FindQueryError>}=} details
+ */
+class FindQueryError extends Error {
+  constructor(message, details) {
+    super(message);
+    details = details || {};
+
+    this.name = 'FindQueryError';
+
+    /**
+     * The HTTP status code. Always 400.
+     *
+     * @type {number}
+     */
+    this.statusCode = 400;
+
+    /**
+     * One of the `FindQueryError.codes`.
+     *
+     * @type {string}
+     */
+    this.code = details.code || CODES.INVALID_PARAMETER;
+
+    /**
+     * The key of the query parameter that failed, or null if the error
+     * is not related to a single query parameter.
+     *
+     * @type {string}
+     */
+    this.key = details.key === undefined ? null : details.key;
+
+    /**
+     * The value of the query parameter that failed.
+     *
+     * @type {*}
+     */
+    this.value = details.value === undefined ? null : details.value;
+
+    /**
+     * The property reference string that failed, for example `parent.age`, or null.
+     *
+     * @type {string}
+     */
+    this.propertyRef = details.propertyRef === undefined ? null : details.propertyRef;
+
+    /**
+     * The errors of all invalid query parameters if this error has the code
+     * `INVALID_PARAMETERS`, otherwise null.
+     *
+     * @type {Array.<FindQueryError>}
+     */
+    this.errors = details.errors || null;
+  }
+
+  /**
+   * Creates an `INVALID_PARAMETERS` error that contains the given errors.
+   *
+   * @param {Array.<FindQueryError>} errors
+   * @returns {FindQueryError}
+   */
+  static fromErrors(errors) {
+    return new FindQueryError(
+      'Invalid query parameters: ' + errors.map((err) => err.message).join(', '),
+      {
+        code: CODES.INVALID_PARAMETERS,
+        errors: errors,
+      }
+    );
+  }
+
+  /**
+   * Fills in the query parameter of the error if it isn't known yet.
+   *
+   * @param {string} key
+   * @param {*} value
+   * @returns {FindQueryError}
+   */
+  withParameter(key, value) {
+    if (this.key === null) {
+      this.key = key;
+      this.value = value;
+    }
+
+    return this;
+  }
+
+  toJSON() {
+    const json = {
+      code: this.code,
+      message: this.message,
+      key: this.key,
+      value: this.value,
+      propertyRef: this.propertyRef,
+    };
+
+    if (this.errors) {
+      json.errors = this.errors.map((err) => err.toJSON());
+    }
+
+    return json;
+  }
+}
+
+FindQueryError.codes = CODES;
+
+module.exports = FindQueryError;
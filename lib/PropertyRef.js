@@ -1,8 +1,84 @@
 'use strict';
 
 const _ = require('lodash');
+const { raw, ref } = require('objection');
 const utils = require('./utils');
+const array = require('./array');
+const dates = require('./dates');
 const filters = require('./filters');
+const json = require('./json');
+const FindQueryError = require('./FindQueryError');
+
+/**
+ * Aggregate functions that can be applied to properties of to-many relations,
+ * for example `pets:count` or `movies.name:max`.
+ *
+ * @private
+ */
+const AGGREGATES = ['count', 'sum', 'avg', 'min', 'max'];
+
+/**
+ * The suffix of references to the number of elements of PostgreSQL array columns,
+ * for example `tags:arrayLength`.
+ *
+ * @private
+ */
+const ARRAY_LENGTH = 'arrayLength';
+
+/**
+ * Converters from query parameter values to JSON schema types. They return
+ * `undefined` if the value cannot be converted.
+ *
+ * @private
+ */
+const TYPE_COERCERS = Object.freeze({
+  integer: (value) => {
+    const num = toNumber(value);
+    return Number.isInteger(num) ? num : undefined;
+  },
+  number: (value) => {
+    const num = toNumber(value);
+    return Number.isFinite(num) ? num : undefined;
+  },
+  boolean: (value) => {
+    const key = String(value).toLowerCase();
+    return _.has(BOOLEANS, key) ? BOOLEANS[key] : undefined;
+  },
+  string: (value) => {
+    return _.isString(value) ? value : String(value);
+  },
+});
+
+/**
+ * Converters for JSON schema string formats. Like `TYPE_COERCERS` these
+ * return `undefined` for invalid values.
+ *
+ * @private
+ */
+const FORMAT_COERCERS = Object.freeze({
+  'date-time': (value) => {
+    const date = new Date(value);
+    return _.isNaN(date.getTime()) ? undefined : date.toISOString();
+  },
+  date: (value) => {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : undefined;
+  },
+  uuid: (value) => {
+    return /^[0-9a-f]{8}-([0-9a-f]{4}-){3}[0-9a-f]{12}$/i.test(value)
+      ? value.toLowerCase()
+      : undefined;
+  },
+});
+
+/**
+ * @private
+ */
+const BOOLEANS = Object.freeze({
+  true: true,
+  1: true,
+  false: false,
+  0: false,
+});
 
 /**
  * Instances of this class represent property references.
@@ -10,7 +86,16 @@ const filters = require('./filters');
  * A property reference refers to a property of the model class we are building a
  * query for. For example property reference `firstName` refers to the model class's
  * `firstName` property and `movies.name` refers to the `name` property of the model
- * class's `movies` relation.
+ * class's `movies` relation. Relations can be chained to any depth: `pets.owner.parent.age`
+ * refers to the `age` property of the `parent` of the `owner` of the model's `pets`.
+ *
+ * References that go through a to-many relation can end with an aggregate function. For
+ * example `movies.name:max` refers to the greatest movie name and `pets:count` to the number
+ * of pets of each model.
+ *
+ * References to JSON columns can continue into the JSON value using objection's field
+ * expression syntax. For example `metadata:address.city` refers to the `city` field of the
+ * `address` object stored in the `metadata` column and `tags[0]` to the first tag.
  *
  * @param {string} str
  *    The property reference string.
@@ -25,6 +110,9 @@ class PropertyRef {
     /**
      * The original property reference string.
      *
+     * This is the public name used in the query parameters, `allow` and the error
+     * messages even if it's an alias of another property (see `FindQueryBuilder.alias`).
+     *
      * @type {string}
      */
     this.str = str;
@@ -39,13 +127,23 @@ class PropertyRef {
     /**
      * The relation part of the reference.
      *
-     * This is null for property references like `firstName`
-     * that don't have the relation part.
+     * This is the last relation of `relations`. It is null for property
+     * references like `firstName` that don't have the relation part.
      *
      * @type {Relation}
      */
     this.relation = null;
 
+    /**
+     * All relations of the reference in the order they are traversed.
+     *
+     * For reference `pets.owner.age` this contains the `pets` relation of the
+     * model class and the `owner` relation of the pet model class.
+     *
+     * @type {Array.<Relation>}
+     */
+    this.relations = [];
+
     /**
      * The name of the property this reference refers to.
      *
@@ -65,63 +163,349 @@ class PropertyRef {
      */
     this.columnName = null;
 
-    this._parse(str, builder);
+    /**
+     * The aggregate function of the reference.
+     *
+     * One of `count`, `sum`, `avg`, `min` and `max` or null if the reference
+     * doesn't have an aggregate part. `count` references can also end with
+     * a relation (like `pets:count`) in which case `propertyName` and
+     * `columnName` are null.
+     *
+     * @type {string}
+     */
+    this.aggregate = null;
+
+    /**
+     * The path to a field inside a JSON column.
+     *
+     * For reference `metadata:address.city` this is `['address', 'city']`. Null for
+     * references that don't have the field expression part.
+     *
+     * @type {Array.<string|number>}
+     */
+    this.jsonPath = null;
+
+    /**
+     * True for references to the number of elements of an array column like `tags:arrayLength`.
+     *
+     * @type {boolean}
+     */
+    this.arrayLength = false;
+
+    /**
+     * The builder that uses the reference.
+     *
+     * @type {FindQueryBuilder}
+     * @private
+     */
+    this._builder = builder;
+
+    this._parse(builder._resolveAlias(str), builder);
+  }
+
+  /**
+   * Returns true if `name` is one of the aggregate functions that can end a reference.
+   *
+   * @param {string} name
+   * @returns {boolean}
+   */
+  static isAggregate(name) {
+    return _.includes(AGGREGATES, name);
+  }
+
+  /**
+   * Returns true if `name` can end a reference, that is if it's an aggregate function
+   * or `arrayLength`.
+   *
+   * @param {string} name
+   * @returns {boolean}
+   */
+  static isSuffix(name) {
+    return PropertyRef.isAggregate(name) || name === ARRAY_LENGTH;
   }
 
   _parse(str, builder) {
-    const parts = str.split('.');
+    const aggregate = _.last(str.split(':'));
+    let path = str;
 
-    if (parts.length === 1) {
-      this.propertyName = parts[0];
-      this.modelClass = builder._modelClass;
-    } else if (parts.length === 2) {
-      const relationName = parts[0];
+    if (str.indexOf(':') !== -1 && aggregate === ARRAY_LENGTH) {
+      this.arrayLength = true;
+      path = str.slice(0, -(aggregate.length + 1));
+    } else if (str.indexOf(':') !== -1 && PropertyRef.isAggregate(aggregate)) {
+      this.aggregate = aggregate;
+      path = str.slice(0, -(aggregate.length + 1));
+    }
+
+    if (path.indexOf(':') !== -1 && isJsonProperty(builder._modelClass, path.split(':')[0])) {
+      this.jsonPath = json.parsePath(path.slice(path.indexOf(':') + 1));
+      path = path.slice(0, path.indexOf(':'));
+    }
+
+    const parts = path.split('.');
+    let modelClass = builder._modelClass;
+
+    const pushRelation = (relationName) => {
+      let relation;
 
       try {
-        this.relation = builder._modelClass.getRelation(relationName);
+        relation = modelClass.getRelation(relationName);
       } catch (err) {
-        utils.throwError('PropertyRef: unknown relation "' + relationName + '"');
+        utils.throwError('PropertyRef: unknown relation "' + relationName + '"', {
+          code: FindQueryError.codes.UNKNOWN_RELATION,
+          propertyRef: this.str,
+        });
       }
 
-      this.propertyName = parts[1];
-      this.modelClass = this.relation.relatedModelClass;
+      this.relations.push(relation);
+      modelClass = relation.relatedModelClass;
+    };
+
+    _.each(_.initial(parts), pushRelation);
+
+    if (this.aggregate === 'count' && modelClass.getRelations()[_.last(parts)]) {
+      // `pets:count` counts the related models.
+      pushRelation(_.last(parts));
     } else {
-      utils.throwError('PropertyRef: only one level of relations is supported');
+      this.propertyName = _.last(parts);
+      this.columnName = modelClass.propertyNameToColumnName(this.propertyName);
+
+      if (!this.columnName) {
+        utils.throwError('PropertyRef: unknown property ' + this.str, {
+          code: FindQueryError.codes.UNKNOWN_PROPERTY,
+          propertyRef: this.str,
+        });
+      }
+    }
+
+    this.relation = _.last(this.relations) || null;
+    this.modelClass = modelClass;
+
+    if (this.arrayLength && (this.jsonPath || !this.propertyName)) {
+      utils.throwError('PropertyRef: ' + this.str + ' must refer to an array column', {
+        code: FindQueryError.codes.UNKNOWN_PROPERTY,
+        propertyRef: this.str,
+      });
     }
 
-    this.columnName = this.modelClass.propertyNameToColumnName(this.propertyName);
+    if (this.jsonPath && this.aggregate) {
+      utils.throwError('PropertyRef: aggregate ' + this.str + ' cannot refer to a JSON field', {
+        code: FindQueryError.codes.INVALID_AGGREGATE,
+        propertyRef: this.str,
+      });
+    }
 
-    if (!this.columnName) {
-      utils.throwError('PropertyRef: unknown property ' + str);
+    if (this.aggregate && !this.isToMany()) {
+      utils.throwError('PropertyRef: aggregate ' + this.str + ' requires a to-many relation', {
+        code: FindQueryError.codes.INVALID_AGGREGATE,
+        propertyRef: this.str,
+      });
     }
   }
 
+  /**
+   * Converts a filter value into the type of the referred property.
+   *
+   * The type is read from the `jsonSchema` of the property's model class. Values of
+   * `integer`, `number` and `boolean` properties are converted into numbers and booleans
+   * and `date-time`, `date` and `uuid` formatted strings are validated and normalized.
+   * Values are returned as such if the model class has no `jsonSchema` or the property
+   * is not listed in it. Throws an error with status code 400 if the value cannot be
+   * converted.
+   *
+   * ```js
+   * function lowercaseEq(propertyRef, value, modelClass) {
+   *   return {
+   *     method: 'where',
+   *     args: [propertyRef.fullColumnName(), '=', propertyRef.coerce(value)]
+   *   };
+   * }
+   * ```
+   *
+   * @param {*} value
+   * @returns {*}
+   */
+  coerce(value) {
+    const schema = this._valueSchema();
+
+    if (!schema || value === null || value === undefined) {
+      return value;
+    }
+
+    const type = _.find(_.castArray(schema.type), (type) => type !== 'null');
+    let coerced;
+
+    if (type === 'string' && isDateFormat(schema.format) && dates.isRelative(value)) {
+      const date = dates.resolve(value, this.now());
+      coerced = date && dates.format(date, schema.format);
+    } else {
+      const typeCoercer = TYPE_COERCERS[type] || _.identity;
+      const formatCoercer = (type === 'string' && FORMAT_COERCERS[schema.format]) || _.identity;
+      coerced = formatCoercer(typeCoercer(value));
+    }
+
+    if (coerced === undefined) {
+      utils.throwError('PropertyRef: invalid value "' + value + '" for property ' + this.str, {
+        code: FindQueryError.codes.INVALID_VALUE,
+        value: value,
+        propertyRef: this.str,
+      });
+    }
+
+    return coerced;
+  }
+
+  /**
+   * Converts a filter value into a date string that can be compared with the referred property.
+   *
+   * The value can be a date, a timestamp or a date relative to the current time like `now-30d`.
+   * The result is a `YYYY-MM-DD` string for `date` properties and an ISO 8601 timestamp for other
+   * properties. Throws an error with status code 400 if the value is not a date.
+   *
+   * @param {*} value
+   * @returns {string}
+   */
+  coerceDate(value) {
+    const date = dates.resolve(value, this.now());
+
+    if (!date) {
+      utils.throwError('PropertyRef: invalid date "' + value + '" for property ' + this.str, {
+        code: FindQueryError.codes.INVALID_VALUE,
+        value: value,
+        propertyRef: this.str,
+      });
+    }
+
+    return dates.format(date, _.get(this._valueSchema(), 'format'));
+  }
+
+  /**
+   * Returns the current time of the clock of the builder. Relative dates like `now-30d`
+   * are resolved against it.
+   *
+   * @returns {Date}
+   */
+  now() {
+    return this._builder._clock();
+  }
+
   /**
    * Returns the full column name to be used in the queries.
    *
    * The returned string contains the appropriate table name or table alias. For
-   * example `Person.firstName` or `Animal.name`.
+   * example `Person.firstName` or `Person_rel_pets.name`.
    *
-   * @returns {string}
+   * For aggregate references like `pets:count` this returns a raw expression of the
+   * aggregate subquery instead of a string. The expression can be used in place of a
+   * column name in the knex where methods and as a `??` binding in raw queries.
+   *
+   * References to JSON fields like `metadata:address.city` return an expression that
+   * extracts the field as text and `tags:arrayLength` the number of elements of the array.
+   *
+   * @returns {string|RawBuilder}
    */
   fullColumnName() {
-    if (this.relation && this.relation.isOneToOne()) {
-      const builder = this.modelClass.query();
-      // one-to-one relations are joined and the joined table is given an alias.
-      // We must refer to the column through that alias.
-
-      return (
-        this.relation.ownerModelClass.getTableName() +
-        '_rel_' +
-        this.relation.name +
-        '.' +
-        this.columnName
-      );
+    if (this.aggregate) {
+      return raw('(?)', [this.aggregateQuery()]);
+    } else if (this.arrayLength) {
+      return array.length(this._columnRef(), this.str);
+    } else if (this.jsonPath) {
+      return json.extract(this._columnRef(), this.jsonPath, true);
     } else {
-      return this.modelClass.tableName + '.' + this.columnName;
+      return this._columnRef();
     }
   }
 
+  /**
+   * Returns an expression of the JSON value of the reference for the JSON filters like
+   * `hasKey` and `contains`. The value is the whole column or the field at `jsonPath`.
+   *
+   * @returns {Object}
+   */
+  jsonValue() {
+    return json.extract(this._columnRef(), this.jsonPath || [], false);
+  }
+
+  /**
+   * Returns true if the referred property is a JSON column, that is an `object` or
+   * `array` property in the `jsonSchema` of the model class.
+   *
+   * @returns {boolean}
+   */
+  isJson() {
+    return (
+      !!this.propertyName && _.includes(this.modelClass.getJsonAttributes(), this.propertyName)
+    );
+  }
+
+  /**
+   * Returns the table alias of the model class reached after `depth` relations.
+   *
+   * Depth zero is the table of the model class we are building the query for. Every
+   * relation in the path appends `_rel_<relationName>` to the alias, so for example
+   * `parent.parent.age` is read from `Person_rel_parent_rel_parent`.
+   *
+   * @param {number} depth
+   * @returns {string}
+   */
+  tableAlias(depth) {
+    const rootModelClass = _.isEmpty(this.relations)
+      ? this.modelClass
+      : this.relations[0].ownerModelClass;
+
+    return _.map(_.take(this.relations, depth), 'name').reduce(
+      (alias, relationName) => alias + '_rel_' + relationName,
+      rootModelClass.getTableName()
+    );
+  }
+
+  /**
+   * Returns true if the reference goes through at least one relation
+   * that is not a one-to-one relation.
+   *
+   * @returns {boolean}
+   */
+  isToMany() {
+    return this._toManyIndex(0) !== -1;
+  }
+
+  /**
+   * Returns the joins needed to refer to this property from the main query.
+   *
+   * One-to-one relations at the start of the relation path are joined to the main query.
+   * Everything after the first to-many relation is handled inside `whereExists` subqueries.
+   *
+   * @returns {Array.<{relation: Relation, ownerTable: string, alias: string}>}
+   */
+  joins() {
+    const index = this._toManyIndex(0);
+    return this._joins(0, index === -1 ? this.relations.length : index);
+  }
+
+  /**
+   * Returns a subquery that selects the aggregate value of the reference.
+   *
+   * The subquery is correlated with the main query through the first to-many relation.
+   * All relations after it are joined inside the subquery so that the aggregate is
+   * calculated over every related row, for example `children.pets:count` counts the
+   * pets of all children.
+   *
+   * @returns {QueryBuilder}
+   */
+  aggregateQuery() {
+    const index = this._toManyIndex(0);
+    const subQuery = this._relatedQuery(index);
+
+    _.each(this._joins(index + 1, this.relations.length), (join) => {
+      join.relation.join(subQuery, {
+        relatedTableAlias: join.alias,
+        ownerTable: join.ownerTable,
+        relatedJoinSelectQuery: this._builder._relatedJoinQuery(join.relation, subQuery),
+      });
+    });
+
+    return subQuery[this.aggregate](this.columnName ? this._columnRef() : '*');
+  }
+
   /**
    * Builds a where statement.
    *
@@ -131,26 +515,176 @@ class PropertyRef {
    */
   buildFilter(param, builder, boolOp) {
     const filter = this._getFilter(param);
-    let whereMethod = filter.method;
+    // Aggregates are compared directly, the aggregate subquery takes care of the relations.
+    const index = this.aggregate ? -1 : this._toManyIndex(0);
+
+    if (index !== -1) {
+      // `none`:  not exists (related rows that match)
+      // `every`: not exists (related rows that don't match)
+      const method = param.quantifier ? 'whereNotExists' : 'whereExists';
+      const negate = param.quantifier === 'every';
 
-    if (boolOp) {
-      whereMethod = boolOp + _.upperFirst(whereMethod);
+      builder[utils.withBoolOp(method, boolOp)](this._buildSubQuery(index, filter, negate));
+    } else if (param.quantifier === 'none') {
+      builder[utils.withBoolOp('whereNot', boolOp)](function () {
+        this[filter.method].apply(this, filter.args);
+      });
+    } else {
+      builder[utils.withBoolOp(filter.method, boolOp)].apply(builder, filter.args);
     }
+  }
 
-    const rel = this.relation;
-    if (rel && !rel.isOneToOne()) {
-      const subQuery = rel.ownerModelClass.relatedQuery(rel.name).alias(rel.relatedModelClass.name);
-      subQuery[whereMethod].apply(subQuery, filter.args);
+  /**
+   * Builds a `select 1` subquery for the to-many relation at `index` of the relation path.
+   *
+   * The remaining one-to-one relations are joined inside the subquery and the next
+   * to-many relation, if any, becomes a nested `whereExists` subquery. If `negate`
+   * is true, the innermost subquery selects the rows that don't match the filter.
+   *
+   * @private
+   */
+  _buildSubQuery(index, filter, negate) {
+    const subQuery = this._relatedQuery(index);
+    const next = this._toManyIndex(index + 1);
+    const end = next === -1 ? this.relations.length : next;
 
-      builder.whereExists(subQuery.select(1));
+    _.each(this._joins(index + 1, end), (join) => {
+      join.relation.join(subQuery, {
+        joinOperation: 'leftJoin',
+        relatedTableAlias: join.alias,
+        ownerTable: join.ownerTable,
+        relatedJoinSelectQuery: this._builder._relatedJoinQuery(join.relation, subQuery),
+      });
+    });
+
+    if (next !== -1) {
+      subQuery.whereExists(this._buildSubQuery(next, filter, negate));
+    } else if (negate) {
+      subQuery.whereNot(function () {
+        this[filter.method].apply(this, filter.args);
+      });
     } else {
-      builder[whereMethod].apply(builder, filter.args);
+      subQuery[filter.method].apply(subQuery, filter.args);
+    }
+
+    return subQuery.select(1);
+  }
+
+  /**
+   * Returns the query for the relation at `index` of the relation path correlated
+   * with the owner table of the relation.
+   *
+   * @private
+   */
+  _relatedQuery(index) {
+    const rel = this.relations[index];
+    const ownerTable = this.tableAlias(index);
+
+    // The scope of the server applies to the related rows too.
+    return this._builder._scopeQuery(
+      rel.ownerModelClass
+        .relatedQuery(rel.name)
+        .for(_.map(rel.ownerProp.cols, (col) => ref(ownerTable + '.' + col)))
+        .alias(this.tableAlias(index + 1))
+    );
+  }
+
+  /**
+   * Returns the JSON schema of the values of this reference or null if it's not known.
+   *
+   * @private
+   */
+  _valueSchema() {
+    if (this.aggregate === 'count' || this.arrayLength) {
+      return { type: 'integer' };
+    } else if (this.aggregate === 'sum' || this.aggregate === 'avg') {
+      return { type: 'number' };
+    } else if (this.jsonPath) {
+      // JSON fields are compared as text.
+      return null;
     }
+
+    const jsonSchema = this.modelClass.getJsonSchema();
+    return _.get(jsonSchema, ['properties', this.propertyName], null);
+  }
+
+  /**
+   * @private
+   */
+  _columnRef() {
+    return this.tableAlias(this.relations.length) + '.' + this.columnName;
+  }
+
+  /**
+   * @private
+   */
+  _joins(start, end) {
+    return _.map(_.range(start, end), (index) => {
+      return {
+        relation: this.relations[index],
+        ownerTable: this.tableAlias(index),
+        alias: this.tableAlias(index + 1),
+      };
+    });
+  }
+
+  /**
+   * @private
+   */
+  _toManyIndex(start) {
+    return _.findIndex(this.relations, (rel) => !rel.isOneToOne(), start);
   }
 
+  /**
+   * @private
+   */
   _getFilter(param) {
-    return param.filter(this, param.value, this.modelClass);
+    try {
+      return param.filter(this, param.value, this.modelClass);
+    } catch (err) {
+      if (err instanceof FindQueryError && err.key === null) {
+        err.key = param.key;
+      }
+
+      throw err;
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function isDateFormat(format) {
+  return format === 'date' || format === 'date-time';
+}
+
+/**
+ * @private
+ */
+function toNumber(value) {
+  if (_.isString(value) && value.trim() === '') {
+    return NaN;
   }
+
+  return Number(value);
+}
+
+/**
+ * Returns true if the reference `str` without the field expression part refers to
+ * a JSON property. Other references may contain colons too, for example the column
+ * aliases of joined relations like `owner:parent:lastName`.
+ *
+ * @private
+ */
+function isJsonProperty(modelClass, str) {
+  const parts = str.split('.');
+  const known = _.every(_.initial(parts), (relationName) => {
+    const relation = modelClass.getRelations()[relationName];
+    modelClass = relation && relation.relatedModelClass;
+    return !!relation;
+  });
+
+  return known && _.includes(modelClass.getJsonAttributes(), _.last(parts));
 }
 
 module.exports = PropertyRef;
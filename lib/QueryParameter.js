@@ -1,7 +1,29 @@
 'use strict';
 
+const _ = require('lodash');
 const utils = require('./utils');
 const filters = require('./filters');
+const FindQueryError = require('./FindQueryError');
+const PropertyRef = require('./PropertyRef');
+
+/**
+ * Special parameters whose value is a nested set of query parameters.
+ *
+ * @private
+ */
+const GROUP_PARAMETERS = ['and', 'or', 'not'];
+
+/**
+ * Suffixes that control where nulls are placed in an ordering, for example `orderBy=age:nullsLast`.
+ *
+ * @private
+ */
+const NULLS_SUFFIXES = Object.freeze({
+  nullsFirst: 'first',
+  nullsLast: 'last',
+});
+
+const codes = FindQueryError.codes;
 
 /**
  * An object representation of an FindQueryBuilder's input query parameter.
@@ -48,7 +70,87 @@ class QueryParameter {
      */
     this.filter = null;
 
-    this._parse(value, key, builder);
+    /**
+     * The name of the filter if this query parameter is a filter, for example `eq`
+     * for `firstName:eq=Jennifer` and `firstName=Jennifer`.
+     *
+     * @type {string}
+     */
+    this.filterName = null;
+
+    /**
+     * How filters of to-many relations are quantified.
+     *
+     * null (the default) means that at least one related model must match the filter,
+     * `none` that no related model may match it (`!pets.name=Fluffy`) and `every` that all
+     * related models must match it (`pets.name:like:all=F%`). For properties that are not
+     * behind a to-many relation `none` negates the filter and `every` has no effect.
+     *
+     * @type {string}
+     */
+    this.quantifier = null;
+
+    /**
+     * The nested query parameters if this query parameter is one of the
+     * `and`, `or` or `not` groups.
+     *
+     * Each item is a list of query parameters that are combined with `AND`.
+     * The items themselves are combined with the group's operator.
+     *
+     * @type {Array.<Array.<QueryParameter>>}
+     */
+    this.groups = null;
+
+    /**
+     * The ordering keys if this query parameter is one of the `orderBy` parameters.
+     *
+     * `dir` is either `asc` or `desc` and `nulls` is `first`, `last` or null
+     * if the database's default placement of nulls should be used.
+     *
+     * @type {Array.<{propertyRef: PropertyRef, dir: string, nulls: string}>}
+     */
+    this.orderBy = null;
+
+    /**
+     * The grouped properties if this query parameter is the `groupBy` parameter.
+     *
+     * @type {Array.<PropertyRef>}
+     */
+    this.groupBy = null;
+
+    /**
+     * The selected properties if this query parameter is the `select` parameter.
+     *
+     * The selected properties are not included in `propertyRefs` since they are
+     * not used in filters or ordering.
+     *
+     * @type {Array.<PropertyRef>}
+     */
+    this.select = null;
+
+    /**
+     * The searched properties if this query parameter is the `q` parameter.
+     *
+     * @type {Array.<PropertyRef>}
+     */
+    this.search = null;
+
+    /**
+     * The parsed relation expression if this query parameter is the `eager` or `join` parameter.
+     *
+     * @type {RelationExpression}
+     */
+    this.relationExpression = null;
+
+    try {
+      this._parse(value, key, builder);
+    } catch (err) {
+      if (err instanceof FindQueryError) {
+        err.withParameter(key, value);
+      }
+
+      throw err;
+    }
   }
 
   _parse(value, key, builder) {
@@ -64,34 +166,272 @@ class QueryParameter {
 
     if (this.specialParameter.indexOf('orderBy') !== -1) {
       this._parseOrderBy(value, key, builder);
+    } else if (QueryParameter.isGroup(this.specialParameter)) {
+      this._parseGroups(value, key, builder);
+    } else if (this.specialParameter === 'groupBy') {
+      this._parseGroupBy(value, key, builder);
+    } else if (this.specialParameter === 'select') {
+      this._parseSelect(value, key, builder);
+    } else if (this.specialParameter === 'q') {
+      this._parseSearch(value, key, builder);
+    } else if (this.specialParameter === 'eager' || this.specialParameter === 'join') {
+      this.relationExpression = builder._parseRelationExpression(value);
     }
   }
 
+  _parseSearch(value, key, builder) {
+    if (_.isEmpty(builder._searchProperties)) {
+      utils.throwError('parameter: no searchable properties for "' + key + '"');
+    }
+
+    this.search = builder._searchProperties;
+    this.propertyRefs = builder._searchProperties;
+  }
+
+  _parseSelect(value, key, builder) {
+    this.select = _.map(String(value).split(','), (item) => {
+      const str = item.trim();
+
+      if (!str) {
+        utils.throwError('parameter: invalid select in "' + key + '=' + value + '"');
+      }
+
+      const propertyRef = builder._parsePropertyRef(str);
+
+      if (
+        propertyRef.aggregate ||
+        propertyRef.jsonPath ||
+        propertyRef.arrayLength ||
+        !propertyRef.propertyName
+      ) {
+        utils.throwError('parameter: cannot select "' + str + '" in "' + key + '=' + value + '"', {
+          propertyRef: str,
+        });
+      }
+
+      return propertyRef;
+    });
+  }
+
+  _parseGroupBy(value, key, builder) {
+    this.groupBy = _.map(String(value).split(','), (item) => {
+      const str = item.trim();
+      const propertyRef = str ? builder._parsePropertyRef(str) : null;
+
+      // Only the model's own properties can be grouped by.
+      if (
+        !propertyRef ||
+        !propertyRef.propertyName ||
+        propertyRef.relation ||
+        propertyRef.aggregate ||
+        propertyRef.jsonPath ||
+        propertyRef.arrayLength
+      ) {
+        utils.throwError(
+          'parameter: cannot group by "' + str + '" in "' + key + '=' + value + '"',
+          {
+            propertyRef: str || null,
+          }
+        );
+      }
+
+      return propertyRef;
+    });
+
+    this.propertyRefs = this.groupBy;
+  }
+
   _parseOrderBy(value, key, builder) {
-    this.propertyRefs.push(builder._parsePropertyRef(value));
+    const defaultDir = this.specialParameter === 'orderByDesc' ? 'desc' : 'asc';
+
+    this.orderBy = _.map(String(value).split(','), (item) => {
+      let str = item.trim();
+      let dir = defaultDir;
+      let nulls = null;
+
+      if (str[0] === '-' || str[0] === '+') {
+        dir = str[0] === '-' ? 'desc' : 'asc';
+        str = str.slice(1);
+      }
+
+      const parts = str.split(':');
+      if (parts.length > 1 && _.has(NULLS_SUFFIXES, _.last(parts))) {
+        nulls = NULLS_SUFFIXES[parts.pop()];
+        str = parts.join(':');
+      }
+
+      if (!str) {
+        utils.throwError('parameter: invalid ordering in "' + key + '=' + value + '"', {
+          code: codes.INVALID_ORDER_BY,
+        });
+      }
+
+      return {
+        propertyRef: builder._parsePropertyRef(str),
+        dir: dir,
+        nulls: nulls,
+      };
+    });
+
+    this.propertyRefs = _.map(this.orderBy, 'propertyRef');
+  }
+
+  _parseGroups(value, key, builder) {
+    const groups = toGroups(parseJson(value, key), this.specialParameter === 'or');
+
+    if (_.isEmpty(groups)) {
+      utils.throwError('parameter: empty group "' + key + '"');
+    }
+
+    this.groups = _.map(groups, (group) => {
+      group = parseJson(group, key);
+
+      if (!_.isPlainObject(group)) {
+        utils.throwError('parameter: invalid group in "' + key + '"');
+      }
+
+      const params = builder._createQueryParameters(group);
+
+      _.each(params, (param) => {
+        if (param.specialParameter && !param.groups) {
+          utils.throwError(
+            'parameter: special parameter "' + param.key + '" is not allowed inside "' + key + '"',
+            { key: param.key, value: param.value }
+          );
+        }
+      });
+
+      return params;
+    });
+
+    // Collect the nested references so that they get joined and checked against `allow`.
+    this.propertyRefs = _(this.groups)
+      .flatten()
+      .flatMap((param) => _.values(param.propertyRefs))
+      .value();
   }
 
   _parseFilter(value, key, builder) {
-    const parts = key.replace(/\s/g, '').split(':');
+    let str = key.replace(/\s/g, '');
 
-    if (parts.length === 1) {
-      this.filter = filters.eq;
-    } else if (parts.length === 2) {
-      this.filter = builder._filters[parts[1]];
+    if (str[0] === '!') {
+      this.quantifier = 'none';
+      str = str.slice(1);
+    }
+
+    const parts = str.split(':');
+
+    if (parts.length > 2 && _.last(parts) === 'all') {
+      if (this.quantifier) {
+        utils.throwError('parameter: "!" and ":all" cannot be combined in "' + key + '"');
+      }
+
+      this.quantifier = 'every';
+      parts.pop();
+    }
+
+    // The last part is the filter unless it ends a reference like `pets:count` or `tags:arrayLength`
+    // or the field expression of a JSON reference like `metadata:address.city`.
+    if (parts.length > 1 && !PropertyRef.isSuffix(_.last(parts)) && !isJsonRef(parts, builder)) {
+      this.filterName = parts.pop();
+      this.filter = builder._filters[this.filterName];
     } else {
-      utils.throwError('parameter: invalid query parameter "' + key + '=' + value + '"');
+      this.filterName = 'eq';
+      this.filter = filters.eq;
     }
 
+    const refs = parts.join(':').split('|');
+
+    _.each(refs, (ref) => {
+      const refParts = ref.split(':');
+
+      if (
+        refParts.length > 3 ||
+        (refParts.length === 3 && !PropertyRef.isSuffix(refParts[2])) ||
+        (refParts.length === 2 &&
+          !PropertyRef.isSuffix(refParts[1]) &&
+          !builder._parsePropertyRef(refParts[0]).isJson())
+      ) {
+        utils.throwError('parameter: invalid query parameter "' + key + '=' + value + '"');
+      }
+    });
+
     if (!this.filter) {
-      utils.throwError('parameter: invalid filter in "' + key + '=' + value + '"');
+      utils.throwError('parameter: invalid filter in "' + key + '=' + value + '"', {
+        code: codes.INVALID_FILTER,
+      });
     }
 
-    this.propertyRefs = builder._parsePropertyRefs(parts[0].split('|'));
+    this.propertyRefs = builder._parsePropertyRefs(refs);
   }
 }
 
 /**
+ * Returns true if the special parameter's value is a nested set of query parameters.
+ *
+ * @param {string} specialParameter
+ * @returns {boolean}
+ */
+QueryParameter.isGroup = (specialParameter) => _.includes(GROUP_PARAMETERS, specialParameter);
+
+/**
+ * Returns true if `parts` of a filter key like `metadata:address.city` are a JSON
+ * reference without a filter.
+ *
+ * @private
+ */
+function isJsonRef(parts, builder) {
+  return (
+    parts.length === 2 &&
+    !builder._filters[parts[1]] &&
+    parts[0].indexOf('|') === -1 &&
+    builder._parsePropertyRef(parts[0]).isJson()
+  );
+}
+
+/**
+ * Groups can also be given as JSON strings, for example `or=[{"age:gt":30},{"lastName":"Smith"}]`.
+ *
  * @private
  */
+function parseJson(value, key) {
+  if (!_.isString(value)) {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    utils.throwError('parameter: invalid JSON in "' + key + '=' + value + '"');
+  }
+}
+
+/**
+ * Normalizes a group parameter value into a list of parameter objects.
+ *
+ * Arrays (and objects with only numeric keys that query string parsers create for
+ * long arrays) contain one group per item. A plain object is a single group, except for
+ * `or` where each of its parameters is an alternative of its own.
+ *
+ * @private
+ */
+function toGroups(value, splitObject) {
+  if (_.isArray(value)) {
+    return value;
+  } else if (_.isPlainObject(value) && !_.isEmpty(value) && _.every(_.keys(value), isIndex)) {
+    return _.values(value);
+  } else if (_.isPlainObject(value) && splitObject) {
+    return _.map(value, (paramValue, paramKey) => ({ [paramKey]: paramValue }));
+  } else {
+    return [value];
+  }
+}
+
+/**
+ * @private
+ */
+function isIndex(key) {
+  return /^\d+$/.test(key);
+}
 
 module.exports = QueryParameter;
@@ -0,0 +1,76 @@
+'use strict';
+
+const _ = require('lodash');
+const utils = require('./utils');
+const FindQueryError = require('./FindQueryError');
+
+module.exports = {
+  literal: literal,
+  length: length,
+  requirePostgres: requirePostgres,
+};
+
+/**
+ * The number of elements of a PostgreSQL array column. Like the JSON fields, this is
+ * converted into SQL only when the dialect of the query is known.
+ *
+ * @private
+ */
+class ArrayLength {
+  constructor(column, propertyRef) {
+    this.column = column;
+    this.propertyRef = propertyRef;
+  }
+
+  toKnexRaw(builder) {
+    requirePostgres(utils.dialect(builder), 'arrayLength', this.propertyRef);
+    // `array_length` of an empty array is null.
+    return builder.knex().raw('coalesce(array_length(??, 1), 0)', [this.column]);
+  }
+}
+
+/**
+ * Returns a PostgreSQL array literal like `{"a","b"}` of `values`. The literal is passed
+ * as a binding and PostgreSQL converts it into the type of the array column it's compared with.
+ *
+ * @param {Array.<*>} values
+ * @returns {string}
+ */
+function literal(values) {
+  return (
+    '{' +
+    _.map(values, (value) => '"' + String(value).replace(/["\\]/g, '\\$&') + '"').join(',') +
+    '}'
+  );
+}
+
+/**
+ * Returns an expression of the number of elements of the array `column`.
+ *
+ * @param {string} column
+ * @param {string} propertyRef
+ * @returns {{toKnexRaw: function}}
+ */
+function length(column, propertyRef) {
+  return new ArrayLength(column, propertyRef);
+}
+
+/**
+ * Throws an `INVALID_FILTER` error unless `dialect` is PostgreSQL. The array filters
+ * are only supported on PostgreSQL.
+ *
+ * @param {string} dialect
+ * @param {string} filterName
+ * @param {string} propertyRef
+ */
+function requirePostgres(dialect, filterName, propertyRef) {
+  if (dialect !== 'postgresql') {
+    utils.throwError(
+      'PropertyRef: ' + filterName + ' of ' + propertyRef + ' requires PostgreSQL, not ' + dialect,
+      {
+        code: FindQueryError.codes.INVALID_FILTER,
+        propertyRef: propertyRef,
+      }
+    );
+  }
+}
@@ -0,0 +1,69 @@
+'use strict';
+
+const _ = require('lodash');
+const utils = require('./utils');
+const FindQueryError = require('./FindQueryError');
+
+module.exports = {
+  encode: encode,
+  decode: decode,
+};
+
+/**
+ * Encodes the values of the ordering keys of a row into an opaque, URL safe cursor token.
+ *
+ * The names of the keys are stored in the token too so that a cursor created for one
+ * ordering cannot be used with another.
+ *
+ * @param {Array.<string>} keys
+ * @param {Array.<*>} values
+ * @returns {string}
+ */
+function encode(keys, values) {
+  return Buffer.from(JSON.stringify({ k: keys, v: values }))
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Decodes a cursor token created by `encode` and returns the values of the keys.
+ *
+ * @param {string} token
+ * @param {Array.<string>} keys
+ * @returns {Array.<*>}
+ */
+function decode(token, keys) {
+  let cursor = null;
+
+  try {
+    cursor = JSON.parse(Buffer.from(token, 'base64').toString('utf8'));
+  } catch (err) {
+    // Handled below.
+  }
+
+  if (
+    !cursor ||
+    !_.isEqual(cursor.k, keys) ||
+    !_.isArray(cursor.v) ||
+    cursor.v.length !== keys.length ||
+    !_.every(cursor.v, isKeyValue)
+  ) {
+    utils.throwError('Invalid cursor "' + token + '"', {
+      code: FindQueryError.codes.INVALID_CURSOR,
+      value: token,
+    });
+  }
+
+  return cursor.v;
+}
+
+/**
+ * The values of the ordering keys are columns, so they can only be scalars or `null`.
+ *
+ * @private
+ */
+function isKeyValue(value) {
+  return value === null || _.isString(value) || _.isFinite(value) || _.isBoolean(value);
+}
@@ -0,0 +1,158 @@
+'use strict';
+
+const _ = require('lodash');
+
+module.exports = {
+  isRelative: isRelative,
+  resolve: resolve,
+  parseDuration: parseDuration,
+  subtract: subtract,
+  format: format,
+};
+
+/**
+ * The units of durations and relative dates like `7d` and `now-30d`.
+ *
+ * `M` is months and `m` minutes. Months and years are calendar months and years,
+ * the other units have a fixed length in milliseconds. A day that doesn't exist in the
+ * resulting month becomes the last day of the month, so a month before March 31 is
+ * the last day of February.
+ *
+ * @private
+ */
+const UNITS = Object.freeze({
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  M: 'month',
+  y: 'year',
+});
+
+/**
+ * Absolute dates must start with `YYYY-MM-DD`, for example `2020-10-29` or `2020-10-29T12:00:00Z`.
+ *
+ * @private
+ */
+const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}/;
+
+/**
+ * @private
+ */
+const DURATION_REGEX = /^(\d+)([smhdwMy])$/;
+
+/**
+ * @private
+ */
+const RELATIVE_REGEX = /^now(?:([+-])(\d+[smhdwMy]))?$/;
+
+/**
+ * Returns true if `value` is a date relative to the current time like `now` or `now-30d`.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isRelative(value) {
+  return _.isString(value) && RELATIVE_REGEX.test(value.trim());
+}
+
+/**
+ * Converts `value` into a `Date`. The value can be a relative date like `now-30d`, which
+ * is resolved against `now`, or an ISO 8601 date or timestamp. Returns `undefined` for
+ * invalid values and for relative dates that are out of the range of `Date`.
+ *
+ * @param {*} value
+ * @param {Date} now
+ * @returns {Date}
+ */
+function resolve(value, now) {
+  if (isRelative(value)) {
+    const match = RELATIVE_REGEX.exec(value.trim());
+
+    if (!match[1]) {
+      return new Date(now.getTime());
+    }
+
+    const duration = parseDuration(match[2]);
+    return shift(now, match[1] === '-' ? -duration.amount : duration.amount, duration.unit);
+  }
+
+  if (!_.isDate(value) && !ISO_DATE_REGEX.test(value)) {
+    return undefined;
+  }
+
+  const date = new Date(value);
+  return _.isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Parses a duration like `7d` or `1y`. Returns `undefined` for invalid durations.
+ *
+ * @param {*} value
+ * @returns {{amount: number, unit: string}}
+ */
+function parseDuration(value) {
+  const match = DURATION_REGEX.exec(String(value).trim());
+
+  if (!match) {
+    return undefined;
+  }
+
+  return {
+    amount: parseInt(match[1], 10),
+    unit: match[2],
+  };
+}
+
+/**
+ * Returns the date `duration` before `now`, or `undefined` if it's out of the range of `Date`.
+ *
+ * @param {Date} now
+ * @param {{amount: number, unit: string}} duration
+ * @returns {Date}
+ */
+function subtract(now, duration) {
+  return shift(now, -duration.amount, duration.unit);
+}
+
+/**
+ * Formats a date for comparison with a property of the given JSON schema `format`.
+ * `date` properties are compared with `YYYY-MM-DD` strings and everything else with
+ * ISO 8601 timestamps.
+ *
+ * @param {Date} date
+ * @param {string} schemaFormat
+ * @returns {string}
+ */
+function format(date, schemaFormat) {
+  const iso = date.toISOString();
+  return schemaFormat === 'date' ? iso.slice(0, 10) : iso;
+}
+
+/**
+ * @private
+ */
+function shift(now, amount, unit) {
+  const date = new Date(now.getTime());
+
+  if (UNITS[unit] === 'month' || UNITS[unit] === 'year') {
+    const day = date.getUTCDate();
+
+    // `setUTCMonth` would overflow into the next month from days like the 31st.
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + (UNITS[unit] === 'year' ? amount * 12 : amount));
+    date.setUTCDate(Math.min(day, daysInMonth(date)));
+  } else {
+    date.setTime(date.getTime() + amount * UNITS[unit]);
+  }
+
+  return _.isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * @private
+ */
+function daysInMonth(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+}
@@ -1,7 +1,18 @@
 'use strict';
 
+const _ = require('lodash');
+const array = require('./array');
+const dates = require('./dates');
+const json = require('./json');
+const search = require('./search');
+const utils = require('./utils');
+const FindQueryError = require('./FindQueryError');
+
 module.exports = {
   in: inSet,
+  notIn: notInSet,
+  between: between,
+  notBetween: notBetween,
   eq: eq,
   neq: neq,
   lt: lt,
@@ -10,8 +21,32 @@ module.exports = {
   gte: gte,
   like: like,
   likeLower: likeLower,
+  ilike: ilike,
+  eqLower: eqLower,
+  contains: contains,
+  containsLower: containsLower,
+  startsWith: startsWith,
+  startsWithLower: startsWithLower,
+  endsWith: endsWith,
+  endsWithLower: endsWithLower,
+  eqUnaccent: eqUnaccent,
+  containsUnaccent: containsUnaccent,
+  startsWithUnaccent: startsWithUnaccent,
+  endsWithUnaccent: endsWithUnaccent,
   isNull: isNull,
   notNull: notNull,
+  search: fullTextSearch,
+  hasKey: hasKey,
+  containedBy: containedBy,
+  containsAny: containsAny,
+  arrayContains: arrayContains,
+  arrayOverlaps: arrayOverlaps,
+  arrayContainedBy: arrayContainedBy,
+  before: before,
+  after: after,
+  onDate: onDate,
+  withinLast: withinLast,
+  olderThan: olderThan,
 };
 
 /**
@@ -20,7 +55,7 @@ module.exports = {
 function basicWhere(propertyRef, operator, value) {
   return {
     method: 'where',
-    args: [propertyRef.fullColumnName(), operator, value],
+    args: [propertyRef.fullColumnName(), operator, propertyRef.coerce(value)],
   };
 }
 
@@ -30,10 +65,110 @@ function basicWhere(propertyRef, operator, value) {
 function inSet(propertyRef, value) {
   return {
     method: 'whereIn',
-    args: [propertyRef.fullColumnName(), value.split(',')],
+    args: [propertyRef.fullColumnName(), valueList(propertyRef, value)],
+  };
+}
+
+/**
+ * @private
+ */
+function notInSet(propertyRef, value) {
+  return {
+    method: 'whereNotIn',
+    args: [propertyRef.fullColumnName(), valueList(propertyRef, value)],
+  };
+}
+
+/**
+ * @private
+ */
+function between(propertyRef, value) {
+  return {
+    method: 'whereBetween',
+    args: [propertyRef.fullColumnName(), rangeValues(propertyRef, value)],
+  };
+}
+
+/**
+ * @private
+ */
+function notBetween(propertyRef, value) {
+  return {
+    method: 'whereNotBetween',
+    args: [propertyRef.fullColumnName(), rangeValues(propertyRef, value)],
   };
 }
 
+/**
+ * Returns the values of a set filter converted to the type of the property.
+ *
+ * The value can be an array (for example from repeated query parameters `age:in[]=10&age:in[]=20`),
+ * a JSON array like `["a,b","c"]` or a comma separated list like `a\,b,c` where `\` escapes the
+ * next character.
+ *
+ * @private
+ */
+function valueList(propertyRef, value) {
+  return _.map(parseList(value), (v) => propertyRef.coerce(v));
+}
+
+/**
+ * @private
+ */
+function rangeValues(propertyRef, value) {
+  const values = valueList(propertyRef, value);
+
+  if (values.length !== 2) {
+    utils.throwError('PropertyRef: invalid range "' + value + '" for property ' + propertyRef.str, {
+      code: FindQueryError.codes.INVALID_VALUE,
+      value: value,
+      propertyRef: propertyRef.str,
+    });
+  }
+
+  return values;
+}
+
+/**
+ * @private
+ */
+function parseList(value) {
+  if (_.isArray(value)) {
+    return value;
+  }
+
+  const str = String(value);
+
+  if (str[0] === '[') {
+    try {
+      const values = JSON.parse(str);
+
+      if (_.isArray(values)) {
+        return values;
+      }
+    } catch (err) {
+      // Not JSON, parsed as a comma separated list.
+    }
+  }
+
+  const values = [];
+  let current = '';
+
+  for (let i = 0; i < str.length; ++i) {
+    if (str[i] === '\\' && i + 1 < str.length) {
+      current += str[++i];
+    } else if (str[i] === ',') {
+      values.push(current);
+      current = '';
+    } else {
+      current += str[i];
+    }
+  }
+
+  values.push(current);
+  return values;
+}
+
 /**
  * @private
  */
@@ -80,7 +215,10 @@ function gte(propertyRef, value) {
  * @private
  */
 function like(propertyRef, value) {
-  return basicWhere(propertyRef, 'like', value);
+  return {
+    method: 'where',
+    args: [propertyRef.fullColumnName(), 'like', value],
+  };
 }
 
 /**
@@ -89,7 +227,345 @@ function like(propertyRef, value) {
 function likeLower(propertyRef, value, modelClass) {
   return {
     method: 'whereRaw',
-    args: ['lower(??) like ?', [propertyRef.fullColumnName(), value.toLowerCase()]],
+    args: ['lower(??) like ?', [propertyRef.fullColumnName(), String(value).toLowerCase()]],
+  };
+}
+
+/**
+ * Case insensitive `like`. The value can contain the `%` and `_` wildcards.
+ *
+ * @private
+ */
+function ilike(propertyRef, value) {
+  return likeWhere(propertyRef, String(value), true);
+}
+
+/**
+ * Case insensitive `eq`.
+ *
+ * @private
+ */
+function eqLower(propertyRef, value) {
+  return dialectWhere((builder, dialect) => {
+    if (dialect === 'postgresql') {
+      builder.whereRaw('?? ilike ?', [propertyRef.fullColumnName(), utils.escapeLike(value)]);
+    } else {
+      builder.whereRaw('lower(??) = ?', [
+        propertyRef.fullColumnName(),
+        String(value).toLowerCase(),
+      ]);
+    }
+  });
+}
+
+/**
+ * @private
+ */
+function contains(propertyRef, value) {
+  if (propertyRef.isJson()) {
+    return jsonWhere(propertyRef, json.contains, json.parseValue(value));
+  }
+
+  return likeWhere(propertyRef, '%' + utils.escapeLike(value) + '%', false);
+}
+
+/**
+ * @private
+ */
+function containsLower(propertyRef, value) {
+  return likeWhere(propertyRef, '%' + utils.escapeLike(value) + '%', true);
+}
+
+/**
+ * @private
+ */
+function startsWith(propertyRef, value) {
+  return likeWhere(propertyRef, utils.escapeLike(value) + '%', false);
+}
+
+/**
+ * @private
+ */
+function startsWithLower(propertyRef, value) {
+  return likeWhere(propertyRef, utils.escapeLike(value) + '%', true);
+}
+
+/**
+ * @private
+ */
+function endsWith(propertyRef, value) {
+  return likeWhere(propertyRef, '%' + utils.escapeLike(value), false);
+}
+
+/**
+ * @private
+ */
+function endsWithLower(propertyRef, value) {
+  return likeWhere(propertyRef, '%' + utils.escapeLike(value), true);
+}
+
+/**
+ * Matches the column with a `like` pattern. Case insensitive patterns use `ilike` on
+ * PostgreSQL and `lower()` on the other databases.
+ *
+ * @private
+ */
+function likeWhere(propertyRef, pattern, ignoreCase) {
+  return dialectWhere((builder, dialect) => {
+    const column = propertyRef.fullColumnName();
+
+    if (!ignoreCase) {
+      builder.whereRaw('?? like ?' + utils.likeEscape(dialect), [column, pattern]);
+    } else if (dialect === 'postgresql') {
+      builder.whereRaw('?? ilike ?', [column, pattern]);
+    } else {
+      builder.whereRaw('lower(??) like ?' + utils.likeEscape(dialect), [
+        column,
+        pattern.toLowerCase(),
+      ]);
+    }
+  });
+}
+
+/**
+ * Case and accent insensitive `eq`.
+ *
+ * @private
+ */
+function eqUnaccent(propertyRef, value) {
+  return unaccentWhere(propertyRef, 'eqUnaccent', utils.escapeLike(value));
+}
+
+/**
+ * @private
+ */
+function containsUnaccent(propertyRef, value) {
+  return unaccentWhere(propertyRef, 'containsUnaccent', '%' + utils.escapeLike(value) + '%');
+}
+
+/**
+ * @private
+ */
+function startsWithUnaccent(propertyRef, value) {
+  return unaccentWhere(propertyRef, 'startsWithUnaccent', utils.escapeLike(value) + '%');
+}
+
+/**
+ * @private
+ */
+function endsWithUnaccent(propertyRef, value) {
+  return unaccentWhere(propertyRef, 'endsWithUnaccent', '%' + utils.escapeLike(value));
+}
+
+/**
+ * Matches the column with a `like` pattern ignoring the case and the accents. PostgreSQL
+ * compares the values with `unaccent()`, which needs the `unaccent` extension, and MySQL
+ * with the `utf8mb4_general_ci` collation. SQLite has no built-in way to ignore accents.
+ *
+ * @private
+ */
+function unaccentWhere(propertyRef, filterName, pattern) {
+  return dialectWhere((builder, dialect) => {
+    const column = propertyRef.fullColumnName();
+
+    if (dialect === 'postgresql') {
+      builder.whereRaw('unaccent(??) ilike unaccent(?)', [column, pattern]);
+    } else if (dialect === 'mysql') {
+      builder.whereRaw('convert(?? using utf8mb4) collate utf8mb4_general_ci like ?', [
+        column,
+        pattern,
+      ]);
+    } else {
+      utils.throwError(
+        'PropertyRef: ' +
+          filterName +
+          ' of ' +
+          propertyRef.str +
+          ' requires PostgreSQL or MySQL, not ' +
+          dialect,
+        {
+          code: FindQueryError.codes.INVALID_FILTER,
+          propertyRef: propertyRef.str,
+        }
+      );
+    }
+  });
+}
+
+/**
+ * @private
+ */
+function hasKey(propertyRef, value) {
+  return jsonWhere(propertyRef, json.hasKey, String(value));
+}
+
+/**
+ * @private
+ */
+function containedBy(propertyRef, value) {
+  return jsonWhere(propertyRef, json.containedBy, json.parseValue(value));
+}
+
+/**
+ * @private
+ */
+function containsAny(propertyRef, value) {
+  return jsonWhere(propertyRef, json.containsAny, _.map(parseList(value), json.parseValue));
+}
+
+/**
+ * Creates a filter for the JSON value of the reference. `jsonFilter` is one of the
+ * filters of `./json` called with the builder, the dialect, the JSON value and `value`.
+ *
+ * @private
+ */
+function jsonWhere(propertyRef, jsonFilter, value) {
+  if (!propertyRef.isJson()) {
+    utils.throwError('PropertyRef: ' + propertyRef.str + ' is not a JSON property', {
+      code: FindQueryError.codes.INVALID_FILTER,
+      propertyRef: propertyRef.str,
+    });
+  }
+
+  return dialectWhere((builder, dialect) => {
+    jsonFilter(builder, dialect, propertyRef.jsonValue(), value);
+  });
+}
+
+/**
+ * @private
+ */
+function arrayContains(propertyRef, value) {
+  return arrayWhere(propertyRef, 'arrayContains', '@>', value);
+}
+
+/**
+ * @private
+ */
+function arrayOverlaps(propertyRef, value) {
+  return arrayWhere(propertyRef, 'arrayOverlaps', '&&', value);
+}
+
+/**
+ * @private
+ */
+function arrayContainedBy(propertyRef, value) {
+  return arrayWhere(propertyRef, 'arrayContainedBy', '<@', value);
+}
+
+/**
+ * Compares a PostgreSQL array column with the list of values using the array `operator`.
+ *
+ * @private
+ */
+function arrayWhere(propertyRef, filterName, operator, value) {
+  const values = parseList(value);
+
+  return dialectWhere((builder, dialect) => {
+    array.requirePostgres(dialect, filterName, propertyRef.str);
+    builder.whereRaw('?? ' + operator + ' ?', [
+      propertyRef.fullColumnName(),
+      array.literal(values),
+    ]);
+  });
+}
+
+/**
+ * @private
+ */
+function before(propertyRef, value) {
+  return dateWhere(propertyRef, '<', propertyRef.coerceDate(value));
+}
+
+/**
+ * @private
+ */
+function after(propertyRef, value) {
+  return dateWhere(propertyRef, '>', propertyRef.coerceDate(value));
+}
+
+/**
+ * Compares the date part of the property with the date. Timestamps are converted into
+ * dates with `cast(... as date)` on PostgreSQL and `date()` on the other databases.
+ *
+ * @private
+ */
+function onDate(propertyRef, value) {
+  const date = propertyRef.coerceDate(value).slice(0, 10);
+
+  return dialectWhere((builder, dialect) => {
+    const column = propertyRef.fullColumnName();
+
+    if (dialect === 'postgresql') {
+      builder.whereRaw('cast(?? as date) = ?', [column, date]);
+    } else {
+      builder.whereRaw('date(??) = ?', [column, date]);
+    }
+  });
+}
+
+/**
+ * @private
+ */
+function withinLast(propertyRef, value) {
+  return dateWhere(propertyRef, '>=', propertyRef.coerceDate(since(propertyRef, value)));
+}
+
+/**
+ * @private
+ */
+function olderThan(propertyRef, value) {
+  return dateWhere(propertyRef, '<', propertyRef.coerceDate(since(propertyRef, value)));
+}
+
+/**
+ * @private
+ */
+function dateWhere(propertyRef, operator, date) {
+  return {
+    method: 'where',
+    args: [propertyRef.fullColumnName(), operator, date],
+  };
+}
+
+/**
+ * Parses durations like `7d` of `withinLast` and `olderThan` and returns the date
+ * the duration before the current time.
+ *
+ * @private
+ */
+function since(propertyRef, value) {
+  const duration = dates.parseDuration(value);
+  const date = duration && dates.subtract(propertyRef.now(), duration);
+
+  if (!date) {
+    utils.throwError(
+      'PropertyRef: invalid duration "' + value + '" for property ' + propertyRef.str,
+      {
+        code: FindQueryError.codes.INVALID_VALUE,
+        value: value,
+        propertyRef: propertyRef.str,
+      }
+    );
+  }
+
+  return date;
+}
+
+/**
+ * Creates a filter whose SQL depends on the database. The dialect is known only when
+ * the query is built, so `buildWhere(builder, dialect)` is called from a `where` callback.
+ *
+ * @private
+ */
+function dialectWhere(buildWhere) {
+  return {
+    method: 'where',
+    args: [
+      function () {
+        buildWhere(this, utils.dialect(this));
+      },
+    ],
   };
 }
 
@@ -106,3 +582,13 @@ function isNull(propertyRef) {
 function notNull(propertyRef) {
   return basicWhere(propertyRef, 'is not', null);
 }
+
+/**
+ * @private
+ */
+function fullTextSearch(propertyRef, value) {
+  return {
+    method: 'where',
+    args: [search.where([propertyRef.fullColumnName()], value)],
+  };
+}
@@ -0,0 +1,239 @@
+'use strict';
+
+const _ = require('lodash');
+const array = require('./array');
+const utils = require('./utils');
+const FindQueryError = require('./FindQueryError');
+
+module.exports = {
+  parsePath: parsePath,
+  extract: extract,
+  parseValue: parseValue,
+  hasKey: hasKey,
+  contains: contains,
+  containedBy: containedBy,
+  containsAny: containsAny,
+};
+
+/**
+ * A reference to a field inside a JSON column, like `metadata:address.city`.
+ *
+ * The SQL depends on the database, so the reference is converted into SQL only when the
+ * query is built. objection.js does that for all objects that have a `toKnexRaw` method.
+ *
+ * @private
+ */
+class JsonFieldRef {
+  constructor(column, path, asText) {
+    this.column = column;
+    this.path = path;
+    this.asText = asText;
+  }
+
+  toKnexRaw(builder) {
+    const dialect = utils.dialect(builder);
+    const knex = builder.knex();
+
+    if (_.isEmpty(this.path)) {
+      return knex.raw('??', [this.column]);
+    } else if (dialect === 'postgresql') {
+      return knex.raw('?? ' + (this.asText ? '#>>' : '#>') + ' ?', [
+        this.column,
+        array.literal(this.path),
+      ]);
+    } else if (dialect === 'mysql') {
+      const sql = 'json_extract(??, ?)';
+      return knex.raw(this.asText ? 'json_unquote(' + sql + ')' : sql, [
+        this.column,
+        jsonPath(this.path),
+      ]);
+    } else {
+      const sql = 'json_extract(??, ?)';
+      return knex.raw(this.asText ? 'cast(' + sql + ' as text)' : sql, [
+        this.column,
+        jsonPath(this.path),
+      ]);
+    }
+  }
+}
+
+/**
+ * Parses the field expression part of a reference like `address.city` or `tags[0]`
+ * into a list of object keys and array indexes.
+ *
+ * @param {string} str
+ * @returns {Array.<string|number>}
+ */
+function parsePath(str) {
+  const path = [];
+  const re = /([^.[\]]+)|\[(\d+)\]/g;
+  let match;
+
+  while ((match = re.exec(str))) {
+    path.push(match[2] === undefined ? match[1] : parseInt(match[2], 10));
+  }
+
+  return path;
+}
+
+/**
+ * Returns an expression that extracts the field at `path` from a JSON column.
+ *
+ * If `asText` is true the value is returned as text so that it can be compared with the
+ * query parameter values. Otherwise it is returned as JSON.
+ *
+ * @param {string} column
+ * @param {Array.<string|number>} path
+ * @param {boolean} asText
+ * @returns {{toKnexRaw: function}}
+ */
+function extract(column, path, asText) {
+  return new JsonFieldRef(column, path, asText);
+}
+
+/**
+ * Parses a JSON filter value. Values that are not valid JSON are strings.
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+function parseValue(value) {
+  if (!_.isString(value)) {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return value;
+  }
+}
+
+/**
+ * Selects the rows where the JSON object `field` has the key `key`.
+ *
+ * @param {QueryBuilder} builder
+ * @param {string} dialect
+ * @param {Object} field
+ * @param {string} key
+ */
+function hasKey(builder, dialect, field, key) {
+  if (dialect === 'postgresql') {
+    builder.whereRaw('jsonb_exists(cast(? as jsonb), ?)', [field, String(key)]);
+  } else if (dialect === 'mysql') {
+    builder.whereRaw("json_contains_path(?, 'one', ?)", [field, jsonPath([key])]);
+  } else {
+    builder.whereRaw('json_type(?, ?) is not null', [field, jsonPath([key])]);
+  }
+}
+
+/**
+ * Selects the rows where the JSON `field` contains `value`. Arrays contain the values
+ * that are in them and objects contain the keys with the same values.
+ *
+ * @param {QueryBuilder} builder
+ * @param {string} dialect
+ * @param {Object} field
+ * @param {*} value
+ */
+function contains(builder, dialect, field, value) {
+  if (dialect === 'postgresql') {
+    builder.whereRaw('cast(? as jsonb) @> cast(? as jsonb)', [field, JSON.stringify(value)]);
+  } else if (dialect === 'mysql') {
+    builder.whereRaw('json_contains(?, ?)', [field, JSON.stringify(value)]);
+  } else if (_.isPlainObject(value)) {
+    _.each(value, (value, key) => {
+      builder.whereRaw('json_extract(?, ?) = ?', [field, jsonPath([key]), scalar(value)]);
+    });
+  } else {
+    _.each(_.castArray(value), (value) => {
+      builder.whereRaw('exists (select 1 from json_each(?) where value = ?)', [
+        field,
+        scalar(value),
+      ]);
+    });
+  }
+}
+
+/**
+ * Selects the rows where `value` contains the JSON `field`. This is the opposite of `contains`.
+ *
+ * @param {QueryBuilder} builder
+ * @param {string} dialect
+ * @param {Object} field
+ * @param {*} value
+ */
+function containedBy(builder, dialect, field, value) {
+  if (dialect === 'postgresql') {
+    builder.whereRaw('cast(? as jsonb) <@ cast(? as jsonb)', [field, JSON.stringify(value)]);
+  } else if (dialect === 'mysql') {
+    builder.whereRaw('json_contains(?, ?)', [JSON.stringify(value), field]);
+  } else {
+    const values = _.map(_.castArray(value), scalar);
+    builder.whereRaw(
+      'not exists (select 1 from json_each(?) where value not in (' + placeholders(values) + '))',
+      [field].concat(values)
+    );
+  }
+}
+
+/**
+ * Selects the rows where the JSON array `field` contains at least one of `values`.
+ *
+ * @param {QueryBuilder} builder
+ * @param {string} dialect
+ * @param {Object} field
+ * @param {Array.<*>} values
+ */
+function containsAny(builder, dialect, field, values) {
+  if (dialect === 'postgresql' || dialect === 'mysql') {
+    builder.where(function () {
+      _.each(values, (value) => {
+        this.orWhere(function () {
+          contains(this, dialect, field, [value]);
+        });
+      });
+    });
+  } else {
+    values = _.map(values, scalar);
+    builder.whereRaw(
+      'exists (select 1 from json_each(?) where value in (' + placeholders(values) + '))',
+      [field].concat(values)
+    );
+  }
+}
+
+/**
+ * SQLite can only compare scalar JSON values.
+ *
+ * @private
+ */
+function scalar(value) {
+  if (_.isObject(value)) {
+    utils.throwError('JSON value ' + JSON.stringify(value) + ' is not supported on this database', {
+      code: FindQueryError.codes.INVALID_VALUE,
+      value: JSON.stringify(value),
+    });
+  }
+
+  return value;
+}
+
+/**
+ * @private
+ */
+function placeholders(values) {
+  return _.map(values, () => '?').join(', ');
+}
+
+/**
+ * @private
+ */
+function jsonPath(path) {
+  return _.reduce(
+    path,
+    (str, key) =>
+      _.isNumber(key) ? str + '[' + key + ']' : str + '.' + JSON.stringify(String(key)),
+    '$'
+  );
+}
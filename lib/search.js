@@ -0,0 +1,117 @@
+'use strict';
+
+const _ = require('lodash');
+const utils = require('./utils');
+
+module.exports = {
+  where: where,
+  orderByRank: orderByRank,
+  terms: terms,
+};
+
+/**
+ * Returns a `where` callback that selects the rows whose `columns` match the search `value`.
+ *
+ * PostgreSQL uses `to_tsvector(...) @@ plainto_tsquery(?)` over all the columns, MySQL uses
+ * `match(...) against (? in natural language mode)` (the columns need a `FULLTEXT` index) and
+ * the other databases require that every word of `value` is found in one of the columns
+ * using `like`.
+ *
+ * @param {Array.<string|Raw>} columns
+ * @param {string} value
+ * @returns {function}
+ */
+function where(columns, value) {
+  return function () {
+    if (_.isEmpty(terms(value))) {
+      return;
+    }
+
+    const dialect = utils.dialect(this);
+
+    if (dialect === 'postgresql') {
+      this.whereRaw(document(columns) + ' @@ plainto_tsquery(?)', columns.concat(value));
+    } else if (dialect === 'mysql') {
+      _.each(byTable(columns), (columns) => {
+        this.orWhereRaw(match(columns), columns.concat(value));
+      });
+    } else {
+      _.each(terms(value), (term) => {
+        const pattern = '%' + utils.escapeLike(term.toLowerCase()) + '%';
+
+        this.where(function () {
+          _.each(columns, (column) => {
+            this.orWhereRaw('lower(??) like ?' + utils.likeEscape(dialect), [column, pattern]);
+          });
+        });
+      });
+    }
+  };
+}
+
+/**
+ * Orders the rows of `builder` by their relevance to the search `value`, best match first.
+ *
+ * Only PostgreSQL (`ts_rank`) and MySQL (the `match` score) rank the matches. On the
+ * other databases the order is not changed.
+ *
+ * @param {QueryBuilder} builder
+ * @param {Array.<string|Raw>} columns
+ * @param {string} value
+ */
+function orderByRank(builder, columns, value) {
+  if (_.isEmpty(terms(value))) {
+    return;
+  }
+
+  const dialect = utils.dialect(builder);
+
+  if (dialect === 'postgresql') {
+    builder.orderByRaw(
+      'ts_rank(' + document(columns) + ', plainto_tsquery(?)) desc',
+      columns.concat(value)
+    );
+  } else if (dialect === 'mysql') {
+    const groups = byTable(columns);
+
+    builder.orderByRaw(
+      '(' + _.map(groups, match).join(' + ') + ') desc',
+      _.flatMap(groups, (columns) => columns.concat(value))
+    );
+  }
+}
+
+/**
+ * Splits the search value into words.
+ *
+ * @param {string} value
+ * @returns {Array.<string>}
+ */
+function terms(value) {
+  return _.compact(String(value).split(/\s+/));
+}
+
+/**
+ * @private
+ */
+function document(columns) {
+  const parts = _.map(columns, () => "coalesce(cast(?? as text), '')");
+  return 'to_tsvector(' + parts.join(" || ' ' || ") + ')';
+}
+
+/**
+ * @private
+ */
+function match(columns) {
+  const parts = _.map(columns, () => '??');
+  return 'match(' + parts.join(', ') + ') against (? in natural language mode)';
+}
+
+/**
+ * MySQL can only match the columns of one table at a time.
+ *
+ * @private
+ */
+function byTable(columns) {
+  return _.values(_.groupBy(columns, (column) => String(column).split('.')[0]));
+}
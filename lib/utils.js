@@ -1,7 +1,53 @@
+'use strict';
+
+const _ = require('lodash');
+const FindQueryError = require('./FindQueryError');
+
 module.exports = {
-  throwError: (message) => {
-    const error = new Error(message);
-    error.statusCode = 400;
-    throw error;
+  /**
+   * Throws a `FindQueryError`. `details` can contain the error `code` and
+   * the `key`, `value` and `propertyRef` that caused the error.
+   */
+  throwError: (message, details) => {
+    throw new FindQueryError(message, details);
+  },
+
+  /**
+   * Prefixes a knex where method with a boolean operator. `withBoolOp('whereIn', 'or')`
+   * returns `orWhereIn` and `withBoolOp('whereIn')` returns `whereIn`.
+   */
+  withBoolOp: (method, boolOp) => {
+    return boolOp ? boolOp + _.upperFirst(method) : method;
+  },
+
+  /**
+   * Returns the SQL dialect of an objection.js query builder: `postgresql`, `mysql`,
+   * `sqlite3` or the dialect name of some other knex client. Both of the MySQL clients
+   * are reported as `mysql`.
+   */
+  dialect: (builder) => {
+    // Subqueries of a bound model class use the model's knex even if the query has its own.
+    while (builder.parentQuery()) {
+      builder = builder.parentQuery();
+    }
+
+    const dialect = builder.knex().client.dialect;
+    return dialect === 'mysql2' ? 'mysql' : dialect;
+  },
+
+  /**
+   * Escapes the `like` wildcards `%` and `_` and the escape character `\` so that
+   * `value` is matched as such.
+   */
+  escapeLike: (value) => {
+    return String(value).replace(/[\\%_]/g, '\\$&');
+  },
+
+  /**
+   * Returns the `escape` clause that makes `\` the escape character of a `like` pattern.
+   * PostgreSQL and MySQL use `\` by default and SQLite has no escape character by default.
+   */
+  likeEscape: (dialect) => {
+    return dialect === 'postgresql' || dialect === 'mysql' ? '' : " escape '\\'";
   },
 };
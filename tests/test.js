@@ -1,6 +1,7 @@
 'use strict';
 
 const _ = require('lodash');
+const Knex = require('knex');
 const expect = require('chai').expect;
 const testUtils = require('./utils');
 const objectionFind = require('../');
@@ -67,6 +68,82 @@ describe('integration tests', () => {
                 expect(_.map(result, 'firstName').sort()).to.eql(['F01', 'F02', 'F05']);
               });
           });
+
+          it('should take the values from arrays and repeated parameters', () => {
+            const firstNames = (params) =>
+              objectionFind(Person)
+                .build(params)
+                .then((result) => _.map(result, 'firstName').sort());
+
+            return Promise.all([
+              firstNames({ 'firstName:in': ['F01', 'F02'] }),
+              firstNames({ 'firstName:in[]': ['F03', 'F04'] }),
+              firstNames({ 'firstName:in': '["F05","F06"]' }),
+              firstNames({ 'pets.name:in:all': ['P00', 'P01'], 'pets:count:gt': 0 }),
+            ]).then((results) => {
+              expect(results).to.eql([['F01', 'F02'], ['F03', 'F04'], ['F05', 'F06'], []]);
+            });
+          });
+
+          it('should split the values by unescaped commas', () => {
+            const bindings = (value) =>
+              objectionFind(Person).build({ 'firstName:in': value }).toKnexQuery().toSQL().bindings;
+
+            expect(bindings('a\\,b,c')).to.eql(['a,b', 'c']);
+            expect(bindings('a\\\\,b')).to.eql(['a\\', 'b']);
+            expect(bindings('["a,b","c"]')).to.eql(['a,b', 'c']);
+            expect(bindings('[a,b]')).to.eql(['[a', 'b]']);
+          });
+        });
+
+        describe('notIn', () => {
+          it('should filter using `where not in`', () => {
+            return objectionFind(Person)
+              .build({
+                'firstName:notIn': 'F01,F02,F05',
+                'age:notIn': ['0', '90'],
+              })
+              .then((result) => {
+                expect(_.map(result, 'firstName').sort()).to.eql([
+                  'F03',
+                  'F04',
+                  'F06',
+                  'F07',
+                  'F08',
+                ]);
+              });
+          });
+        });
+
+        describe('between', () => {
+          it('should filter using `between`', () => {
+            return objectionFind(Person)
+              .build({
+                'age:between': '20,40',
+                'parent.age:between[]': ['10', '30'],
+              })
+              .then((result) => {
+                expect(_.map(result, 'firstName').sort()).to.eql(['F02', 'F03', 'F04']);
+              });
+          });
+
+          it('should filter using `not between`', () => {
+            return objectionFind(Person)
+              .build({
+                'age:notBetween': '10,80',
+              })
+              .then((result) => {
+                expect(_.map(result, 'firstName').sort()).to.eql(['F00', 'F09']);
+              });
+          });
+
+          it('should fail without exactly two values', () => {
+            _.each(['10', '10,20,30', ['10']], (value) => {
+              expect(() => objectionFind(Person).build({ 'age:between': value }))
+                .to.throw(objectionFind.FindQueryError)
+                .with.property('code', 'INVALID_VALUE');
+            });
+          });
         });
 
         describe('eq', () => {
@@ -221,307 +298,2603 @@ describe('integration tests', () => {
                 expect(_.invokeMap(result, 'fullName').sort()).to.eql(['F03 L06']);
               });
           });
-        });
 
-        describe('isNull', function () {
-          it('should filter using `is null`', function () {
+          it('should accept values that are not strings', function () {
             return objectionFind(Person)
               .build({
-                'pid:isNull': '',
+                or: JSON.stringify([{ 'firstName:likeLower': 5 }, { 'lastName:likeLower': 'l0%' }]),
               })
               .then(function (result) {
-                expect(_.invokeMap(result, 'fullName').sort()).to.eql(['F00 L09']);
+                expect(result).to.have.length(10);
               });
           });
         });
 
-        describe('notNull', function () {
-          it('should filter using `is not null`', function () {
+        describe('ilike', function () {
+          it('should filter case insensitively using `like` operator', function () {
             return objectionFind(Person)
               .build({
-                'pid:notNull': '',
+                'firstName:ilike': 'f_3%',
               })
               .then(function (result) {
-                expect(_.invokeMap(result, 'fullName').sort()).to.eql([
-                  'F01 L08',
-                  'F02 L07',
-                  'F03 L06',
-                  'F04 L05',
-                  'F05 L04',
-                  'F06 L03',
-                  'F07 L02',
-                  'F08 L01',
-                  'F09 L00',
-                ]);
+                expect(_.invokeMap(result, 'fullName').sort()).to.eql(['F03 L06']);
               });
           });
         });
-      });
 
-      describe('relations', function () {
-        describe('one to one relation', function () {
-          it("should return persons whose parent's firstName equals the given string", function () {
+        describe('eqLower', function () {
+          it('should filter case insensitively using equality', function () {
             return objectionFind(Person)
               .build({
-                'parent.firstName': 'F00',
+                'firstName|lastName:eqLower': 'l03',
               })
               .then(function (result) {
-                expect(_.invokeMap(result, 'fullName').sort()).to.eql(['F01 L08']);
+                expect(_.invokeMap(result, 'fullName').sort()).to.eql(['F06 L03']);
               });
           });
 
-          it("should return persons whose parent's firstName or lastName match the given pattern", function () {
+          it('should not treat wildcards as such', function () {
             return objectionFind(Person)
               .build({
-                'parent.firstName|parent.lastName:like': '%01%',
+                'firstName:eqLower': 'f0_',
               })
               .then(function (result) {
-                expect(_.invokeMap(result, 'fullName').sort()).to.eql(['F02 L07', 'F09 L00']);
+                expect(result).to.eql([]);
               });
           });
+        });
+
+        describe('contains, startsWith and endsWith', function () {
+          const fullNames = (params) =>
+            objectionFind(Person)
+              .build(params)
+              .then((result) => _.invokeMap(result, 'fullName').sort());
+
+          it('should filter by a part of the value', function () {
+            return Promise.all([
+              fullNames({ 'firstName|lastName:contains': '03' }),
+              fullNames({ 'lastName:startsWith': 'L0', 'firstName:endsWith': '3' }),
+              fullNames({ 'pets.name:contains': '5', 'pets.name:startsWith': 'P7' }),
+            ]).then(function (results) {
+              expect(results).to.eql([['F03 L06', 'F06 L03'], ['F03 L06'], ['F07 L02']]);
+            });
+          });
+
+          it('should filter case insensitively with the lower variants', function () {
+            return Promise.all([
+              fullNames({ 'firstName:containsLower': 'f03' }),
+              fullNames({ 'lastName:startsWithLower': 'l09' }),
+              fullNames({ 'lastName:endsWithLower': '9', 'firstName:endsWithLower': 'f00' }),
+            ]).then(function (results) {
+              expect(results).to.eql([['F03 L06'], ['F00 L09'], ['F00 L09']]);
+            });
+          });
+
+          it('should escape the wildcards of the value', function () {
+            return Promise.all([
+              fullNames({ 'firstName:contains': '_0' }),
+              fullNames({ 'firstName:startsWith': 'F%' }),
+              fullNames({ 'firstName:endsWithLower': '\\' }),
+              fullNames({ 'firstName:containsLower': '%' }),
+            ]).then(function (results) {
+              expect(results).to.eql([[], [], [], []]);
+            });
+          });
+
+          it('should use ilike on postgres and lower elsewhere', function () {
+            const toSQL = (client) => {
+              const knex = Knex({ client: client });
+              const query = objectionFind(Person)
+                .build(
+                  { 'firstName:containsLower': 'a_b', 'lastName:eqLower': 'C' },
+                  Person.query(knex)
+                )
+                .toKnexQuery()
+                .toSQL();
+
+              knex.destroy();
+              return _.pick(query, 'sql', 'bindings');
+            };
+
+            expect(toSQL('pg')).to.eql({
+              sql:
+                'select "Person".* from "Person" where ("Person"."firstName" ilike ?) and ("Person"."lastName" ilike ?)',
+              bindings: ['%a\\_b%', 'C'],
+            });
+            expect(toSQL('mysql')).to.eql({
+              sql:
+                'select `Person`.* from `Person` where (lower(`Person`.`firstName`) like ?) ' +
+                'and (lower(`Person`.`lastName`) = ?)',
+              bindings: ['%a\\_b%', 'c'],
+            });
+          });
+        });
+
+        describe('eqUnaccent, containsUnaccent, startsWithUnaccent and endsWithUnaccent', function () {
+          const toSQL = (client, params) => {
+            const knex = Knex({ client: client });
+            const query = objectionFind(Person)
+              .build(params, Person.query(knex))
+              .toKnexQuery()
+              .toSQL();
+
+            knex.destroy();
+            return _.pick(query, 'sql', 'bindings');
+          };
+
+          it('should use unaccent on postgres and a collation on mysql', function () {
+            const params = {
+              'firstName:containsUnaccent': 'é_',
+              'lastName:eqUnaccent': 'José',
+              'pets.name:startsWithUnaccent': 'Ç',
+            };
+
+            expect(toSQL('pg', params).sql).to.contain(
+              'where (unaccent("Person"."firstName") ilike unaccent(?)) ' +
+                'and (unaccent("Person"."lastName") ilike unaccent(?)) ' +
+                'and exists (select 1 from "Animal" as "Person_rel_pets" ' +
+                'where "Person_rel_pets"."ownerId" = "Person"."id" ' +
+                'and (unaccent("Person_rel_pets"."name") ilike unaccent(?)))'
+            );
+            expect(toSQL('mysql', { 'lastName:endsWithUnaccent': '100%' })).to.eql({
+              sql:
+                'select `Person`.* from `Person` ' +
+                'where (convert(`Person`.`lastName` using utf8mb4) collate utf8mb4_general_ci like ?)',
+              bindings: ['%100\\%'],
+            });
+            expect(toSQL('pg', params).bindings).to.eql(['%é\\_%', 'José', 'Ç%']);
+          });
+
+          it('should fail on sqlite', function () {
+            if (knexConfig.client !== 'sqlite3') {
+              return this.skip();
+            }
 
-          it('should return all persons that have a parent', function () {
             return objectionFind(Person)
-              .build({
-                'parent.id:notNull': '',
-              })
-              .then(function (result) {
-                expect(_.invokeMap(result, 'fullName').sort()).to.eql([
-                  'F01 L08',
-                  'F02 L07',
-                  'F03 L06',
-                  'F04 L05',
-                  'F05 L04',
-                  'F06 L03',
-                  'F07 L02',
-                  'F08 L01',
-                  'F09 L00',
-                ]);
-              });
+              .build({ 'firstName:containsUnaccent': 'f' })
+              .then(
+                () => expect.fail('should have failed'),
+                (err) => {
+                  expect(err).to.be.an.instanceof(objectionFind.FindQueryError);
+                  expect(err.code).to.equal('INVALID_FILTER');
+                  expect(err.propertyRef).to.equal('firstName');
+                  expect(err.message).to.contain('requires PostgreSQL or MySQL');
+                }
+              );
           });
         });
 
-        describe('one to many relation', function () {
-          it('should return all persons who have a pet whose name > P55 and also have a pet whose name < P60', function () {
+        describe('isNull', function () {
+          it('should filter using `is null`', function () {
             return objectionFind(Person)
               .build({
-                'pets.name:gt': 'P55',
-                'pets.name:lt': 'P60',
+                'pid:isNull': '',
               })
               .then(function (result) {
-                expect(_.invokeMap(result, 'fullName').sort()).to.eql(['F05 L04']);
+                expect(_.invokeMap(result, 'fullName').sort()).to.eql(['F00 L09']);
               });
           });
         });
 
-        describe('many to many relation', function () {
-          it('should return all persons who have a movie whose name > M10 and also have a movie whose name < M40', function () {
+        describe('notNull', function () {
+          it('should filter using `is not null`', function () {
             return objectionFind(Person)
               .build({
-                'movies.name:gt': 'M10',
-                'movies.name:lt': 'M40',
+                'pid:notNull': '',
               })
               .then(function (result) {
                 expect(_.invokeMap(result, 'fullName').sort()).to.eql([
+                  'F01 L08',
+                  'F02 L07',
+                  'F03 L06',
+                  'F04 L05',
+                  'F05 L04',
                   'F06 L03',
                   'F07 L02',
                   'F08 L01',
+                  'F09 L00',
                 ]);
               });
           });
         });
       });
 
-      describe('ordering', function () {
-        describe('orderBy', function () {
-          it('should order by a property in ascending order', function () {
-            return objectionFind(Person)
-              .build({
-                orderBy: 'lastName',
+      describe('value coercion', function () {
+        class Event extends Model {
+          static get tableName() {
+            return 'Event';
+          }
+
+          static get jsonSchema() {
+            return {
+              type: 'object',
+              properties: {
+                count: { type: ['integer', 'null'] },
+                price: { type: 'number' },
+                public: { type: 'boolean' },
+                startsAt: { type: 'string', format: 'date-time' },
+                day: { type: 'string', format: 'date' },
+                uuid: { type: 'string', format: 'uuid' },
+              },
+            };
+          }
+        }
+
+        const bindings = (params) =>
+          objectionFind(Event).build(params, Event.query(knex)).toKnexQuery().toSQL().bindings;
+
+        it('should convert values to the types of the json schema', function () {
+          expect(bindings({ 'count:gt': '9', 'price:lte': '9.5', public: 'true' })).to.eql([
+            9,
+            9.5,
+            true,
+          ]);
+          expect(bindings({ 'count:in': '1,2,3', 'public:neq': '0' })).to.eql([1, 2, 3, false]);
+        });
+
+        it('should normalize dates and uuids', function () {
+          expect(
+            bindings({
+              'startsAt:gte': '2020-10-29T12:00:00+02:00',
+              day: '2020-10-29',
+              uuid: 'A1B2C3D4-0000-4000-8000-00000000000F',
+            })
+          ).to.eql([
+            '2020-10-29T10:00:00.000Z',
+            '2020-10-29',
+            'a1b2c3d4-0000-4000-8000-00000000000f',
+          ]);
+        });
+
+        it('should convert values of aggregates', function () {
+          return objectionFind(Person)
+            .build({ 'children:count:gte': '1', 'age:lt': '20' })
+            .then(function (result) {
+              expect(_.invokeMap(result, 'fullName').sort()).to.eql(['F00 L09', 'F01 L08']);
+            });
+        });
+
+        it('should fail with values that cannot be converted', function () {
+          _.each(
+            [
+              { 'count:gt': '9.5' },
+              { 'price:lt': 'abc' },
+              { 'price:lt': '' },
+              { public: 'yes' },
+              { public: 'constructor' },
+              { 'public:in': 'true,toString' },
+              { 'startsAt:lt': 'tomorrow' },
+              { day: '29.10.2020' },
+              { 'uuid:in': 'a1b2c3d4-0000-4000-8000-00000000000f,x' },
+            ],
+            (params) => {
+              expect(function () {
+                bindings(params);
               })
-              .then(function (result) {
-                expect(_.map(result, 'lastName')).to.eql([
-                  'L00',
-                  'L01',
-                  'L02',
-                  'L03',
-                  'L04',
-                  'L05',
-                  'L06',
-                  'L07',
-                  'L08',
-                  'L09',
-                ]);
-              });
+                .to.throw(Error)
+                .with.property('statusCode', 400);
+            }
+          );
+
+          expect(function () {
+            objectionFind(Person).build({ 'parent.age:gt': 'old' });
+          }).to.throw(Error, /parent\.age/);
+        });
+      });
+
+      describe('search', function () {
+        const fullNames = (result) => _.invokeMap(result, 'fullName').sort();
+
+        it('should search a property', function () {
+          return objectionFind(Person)
+            .build({ 'firstName:search': 'F03' })
+            .then(function (result) {
+              expect(fullNames(result)).to.eql(['F03 L06']);
+            });
+        });
+
+        it("should search a relation's property", function () {
+          return objectionFind(Person)
+            .build({ 'pets.name:search': 'P55' })
+            .then(function (result) {
+              expect(fullNames(result)).to.eql(['F05 L04']);
+            });
+        });
+
+        it('should search the search properties with q', function () {
+          return objectionFind(Person)
+            .searchProperties(['firstName', 'lastName', 'parent.lastName'])
+            .build({ q: 'L08' })
+            .then(function (result) {
+              expect(fullNames(result)).to.eql(['F01 L08', 'F02 L07']);
+            });
+        });
+
+        it('should require all words with q', function () {
+          if (knexConfig.client === 'mysql') {
+            // MySQL's natural language mode matches any of the words.
+            return this.skip();
+          }
+
+          return objectionFind(Person)
+            .searchProperties(['firstName', 'lastName', 'parent.lastName'])
+            .build({ q: ' F02  L08 ' })
+            .then(function (result) {
+              expect(fullNames(result)).to.eql(['F02 L07']);
+            });
+        });
+
+        it('should match like wildcards as such', function () {
+          if (knexConfig.client !== 'sqlite3') {
+            return this.skip();
+          }
+
+          const findQuery = objectionFind(Person).searchProperties('firstName');
+
+          return Promise.all([
+            findQuery.build({ q: '%' }),
+            findQuery.build({ 'lastName:search': 'L_6' }),
+            findQuery.build({ 'lastName:search': 'L0' }),
+          ]).then(function (results) {
+            expect(_.map(results, 'length')).to.eql([0, 0, 10]);
           });
+        });
 
-          it('should throw if trying to order by HasManyRelation relation properties', function () {
-            expect(function () {
-              objectionFind(Person).build({ orderBy: 'movies.name' });
-            })
-              .to.throw(Error)
-              .with.property('statusCode', 400);
+        it('should ignore an empty q', function () {
+          return objectionFind(Person)
+            .searchProperties('firstName')
+            .build({ q: ' ' })
+            .then(function (result) {
+              expect(result).to.have.length(10);
+            });
+        });
+
+        describe('sql', function () {
+          const clients = {};
+
+          before(() => {
+            clients.pg = Knex({ client: 'pg' });
+            clients.mysql = Knex({ client: 'mysql' });
+          });
+
+          after(() => Promise.all(_.invokeMap(clients, 'destroy')));
+
+          const sql = (client, params) =>
+            objectionFind(Person)
+              .searchProperties(['firstName', 'parent.lastName'], { orderByRelevance: true })
+              .build(params, Person.query(clients[client]))
+              .toKnexQuery()
+              .toString();
+
+          it('should use to_tsvector and plainto_tsquery on postgres', function () {
+            const document =
+              'to_tsvector(coalesce(cast("Person"."firstName" as text), \'\') || \' \' || ' +
+              'coalesce(cast("Person_rel_parent"."lastName" as text), \'\'))';
+
+            expect(sql('pg', { q: 'forrest gump' })).to.contain(
+              'where (' +
+                document +
+                " @@ plainto_tsquery('forrest gump')) order by ts_rank(" +
+                document +
+                ", plainto_tsquery('forrest gump')) desc"
+            );
+          });
+
+          it('should use match against on mysql', function () {
+            const match = (column) =>
+              'match(' + column + ") against ('forrest gump' in natural language mode)";
+
+            expect(sql('mysql', { q: 'forrest gump' })).to.contain(
+              'where (' +
+                match('`Person`.`firstName`') +
+                ' or ' +
+                match('`Person_rel_parent`.`lastName`') +
+                ') order by (' +
+                match('`Person`.`firstName`') +
+                ' + ' +
+                match('`Person_rel_parent`.`lastName`') +
+                ') desc'
+            );
+          });
+
+          it('should not order by relevance if an ordering is given', function () {
+            expect(sql('pg', { q: 'forrest gump', orderBy: 'age' })).to.not.contain('ts_rank');
           });
         });
 
-        describe('orderByAsc', function () {
-          it('should order by a property in ascending order', function () {
-            return objectionFind(Person)
-              .build({
-                orderByAsc: ['parent.lastName'],
-              })
-              .then(function (result) {
-                // L09 doesn't have a parent, so it comes first or last depending on the database.
-                expect(_.without(_.map(result, 'lastName'), 'L09')).to.eql([
-                  'L00',
-                  'L01',
-                  'L02',
-                  'L03',
-                  'L04',
-                  'L05',
-                  'L06',
-                  'L07',
-                  'L08',
-                ]);
-                expect(_.map(result, 'lastName')).to.contain('L09');
-              });
+        it('should fail if there are no search properties', function () {
+          expect(() => objectionFind(Person).build({ q: 'F00' }))
+            .to.throw(objectionFind.FindQueryError)
+            .with.property('key', 'q');
+          expect(() => objectionFind(Person).searchProperties('pets.name')).to.throw(
+            Error,
+            'searchProperties: cannot search "pets.name"'
+          );
+        });
+      });
+
+      describe('json fields', function () {
+        class Product extends Model {
+          static get tableName() {
+            return 'Product';
+          }
+
+          static get jsonSchema() {
+            return {
+              type: 'object',
+              properties: {
+                id: { type: 'integer' },
+                name: { type: 'string' },
+                metadata: { type: 'object' },
+                tags: { type: 'array' },
+              },
+            };
+          }
+        }
+
+        const names = (params, findQuery) =>
+          (findQuery || objectionFind(Product))
+            .build(params, Product.query(knex))
+            .then((result) => _.map(result, 'name').sort());
+
+        before(() =>
+          knex.schema.dropTableIfExists('Product').createTable('Product', (table) => {
+            table.increments('id').primary();
+            table.string('name');
+            table.json('metadata');
+            table.json('tags');
+          })
+        );
+
+        before(() =>
+          _.reduce(
+            [
+              { name: 'A', metadata: { address: { city: 'Oslo' }, size: 3 }, tags: ['x', 'y'] },
+              { name: 'B', metadata: { address: { city: 'Rome' } }, tags: ['y', 'z'] },
+              { name: 'C', metadata: {}, tags: [] },
+            ],
+            (promise, product) => promise.then(() => Product.query(knex).insert(product)),
+            Promise.resolve()
+          )
+        );
+
+        after(() => knex.schema.dropTableIfExists('Product'));
+
+        it('should filter by fields of json columns', function () {
+          return Promise.all([
+            names({ 'metadata:address.city:eq': 'Oslo' }),
+            names({ 'metadata:address.city': 'Rome' }),
+            names({ 'metadata:address.city:in': 'Oslo,Rome' }),
+            names({ 'metadata:address.city|name:startsWith': 'C' }),
+          ]).then((results) => {
+            expect(results).to.eql([['A'], ['B'], ['A', 'B'], ['C']]);
           });
+        });
 
-          it('should order a column alias in ascending order', function () {
-            return objectionFind(Animal)
-              .build({
+        it('should filter by keys with hasKey', function () {
+          return Promise.all([
+            names({ 'metadata:hasKey': 'address' }),
+            names({ 'metadata:hasKey': 'size' }),
+            names({ 'metadata:address:hasKey': 'city' }),
+          ]).then((results) => {
+            expect(results).to.eql([['A', 'B'], ['A'], ['A', 'B']]);
+          });
+        });
+
+        it('should filter arrays with contains, containedBy and containsAny', function () {
+          return Promise.all([
+            names({ 'tags:contains': 'y' }),
+            names({ 'tags:contains': '["x","y"]' }),
+            names({ 'tags:containedBy': '["x","y","w"]' }),
+            names({ 'tags:containsAny': 'x,z' }),
+            names({ 'tags:containsAny[]': ['z', 'w'] }),
+          ]).then((results) => {
+            expect(results).to.eql([['A', 'B'], ['A'], ['A', 'C'], ['A', 'B'], ['B']]);
+          });
+        });
+
+        it('should filter objects with contains', function () {
+          return names({ 'metadata:contains': '{"size":3}' }).then((result) => {
+            expect(result).to.eql(['A']);
+          });
+        });
+
+        it('should allow the fields of allowed json columns', function () {
+          const findQuery = () => objectionFind(Product).allow('name', 'metadata');
+
+          return names({ 'metadata:address.city': 'Oslo' }, findQuery()).then((result) => {
+            expect(result).to.eql(['A']);
+            expect(() => findQuery().build({ 'tags:contains': 'x' }))
+              .to.throw(objectionFind.FindQueryError)
+              .with.property('propertyRef', 'tags');
+            expect(() =>
+              objectionFind(Product)
+                .allow('metadata:size')
+                .build({ 'metadata:address.city': 'Oslo' })
+            )
+              .to.throw(objectionFind.FindQueryError)
+              .with.property('code', 'PROPERTY_NOT_ALLOWED');
+          });
+        });
+
+        it('should fail with json filters and fields of other properties', function () {
+          const codeOf = (params) => {
+            try {
+              objectionFind(Product).build(params, Product.query(knex));
+            } catch (err) {
+              return err.code;
+            }
+          };
+
+          expect(codeOf({ 'name:hasKey': 'a' })).to.equal('INVALID_FILTER');
+          expect(codeOf({ 'name:containsAny': 'a' })).to.equal('INVALID_FILTER');
+          expect(codeOf({ 'name:first:eq': 'a' })).to.equal('INVALID_PARAMETER');
+          expect(codeOf({ 'name:first': 'a' })).to.equal('INVALID_FILTER');
+          expect(codeOf({ orderBy: 'metadata:size' })).to.equal('INVALID_ORDER_BY');
+          expect(codeOf({ select: 'metadata:size' })).to.equal('INVALID_PARAMETER');
+        });
+
+        describe('sql', function () {
+          const clients = {};
+
+          before(() => {
+            clients.pg = Knex({ client: 'pg' });
+            clients.mysql = Knex({ client: 'mysql' });
+          });
+
+          after(() => Promise.all(_.invokeMap(clients, 'destroy')));
+
+          const sql = (client, params) =>
+            objectionFind(Product)
+              .build(params, Product.query(clients[client]))
+              .toKnexQuery()
+              .toSQL();
+
+          it('should use json operators on postgres', function () {
+            const field = sql('pg', { 'metadata:address.city': 'Oslo' });
+            expect(field.sql).to.contain('where "Product"."metadata" #>> ? = ?');
+            expect(field.bindings).to.eql(['{"address","city"}', 'Oslo']);
+
+            expect(sql('pg', { 'metadata:hasKey': 'size' }).sql).to.contain(
+              'jsonb_exists(cast("Product"."metadata" as jsonb), ?)'
+            );
+
+            const any = sql('pg', { 'tags:containsAny': 'x,z' });
+            expect(any.sql).to.contain(
+              '(cast("Product"."tags" as jsonb) @> cast(? as jsonb)) or (cast("Product"."tags" as jsonb) @> cast(? as jsonb))'
+            );
+            expect(any.bindings).to.eql(['["x"]', '["z"]']);
+          });
+
+          it('should use json functions on mysql', function () {
+            const field = sql('mysql', { 'metadata:address.city': 'Oslo' });
+            expect(field.sql).to.contain(
+              'where json_unquote(json_extract(`Product`.`metadata`, ?)) = ?'
+            );
+            expect(field.bindings).to.eql(['$."address"."city"', 'Oslo']);
+
+            const containedBy = sql('mysql', { 'tags:containedBy': '["x"]' });
+            expect(containedBy.sql).to.contain('json_contains(?, `Product`.`tags`)');
+            expect(containedBy.bindings).to.eql(['["x"]']);
+          });
+        });
+      });
+
+      describe('array filters', function () {
+        class Post extends Model {
+          static get tableName() {
+            return 'Post';
+          }
+
+          static get relationMappings() {
+            return {
+              author: {
+                relation: Model.BelongsToOneRelation,
+                modelClass: Person,
+                join: { from: 'Post.authorId', to: 'Person.id' },
+              },
+              replies: {
+                relation: Model.HasManyRelation,
+                modelClass: Post,
+                join: { from: 'Post.id', to: 'Post.parentId' },
+              },
+            };
+          }
+        }
+
+        let pg;
+
+        before(() => {
+          pg = Knex({ client: 'pg' });
+        });
+
+        after(() => pg.destroy());
+
+        const sql = (params) =>
+          objectionFind(Post).build(params, Post.query(pg)).toKnexQuery().toSQL();
+
+        it('should compare arrays with @>, && and <@', function () {
+          const contains = sql({ 'tags:arrayContains': 'a,b' });
+          expect(contains.sql).to.contain('where ("Post"."tags" @> ?)');
+          expect(contains.bindings).to.eql(['{"a","b"}']);
+
+          const overlaps = sql({ 'tags:arrayOverlaps[]': ['x', 'say "hi"'] });
+          expect(overlaps.sql).to.contain('where ("Post"."tags" && ?)');
+          expect(overlaps.bindings).to.eql(['{"x","say \\"hi\\""}']);
+
+          const containedBy = sql({ 'tags:arrayContainedBy': '["a,b","c"]' });
+          expect(containedBy.sql).to.contain('where ("Post"."tags" <@ ?)');
+          expect(containedBy.bindings).to.eql(['{"a,b","c"}']);
+        });
+
+        it('should filter by the number of elements with arrayLength', function () {
+          const length = sql({ 'tags:arrayLength:gt': '2' });
+          expect(length.sql).to.contain('where coalesce(array_length("Post"."tags", 1), 0) > ?');
+          expect(length.bindings).to.eql([2]);
+
+          expect(sql({ 'tags:arrayLength': '0' }).sql).to.contain(
+            'coalesce(array_length("Post"."tags", 1), 0) = ?'
+          );
+        });
+
+        it('should filter relations by arrays', function () {
+          expect(sql({ 'replies.tags:arrayOverlaps': 'a' }).sql).to.contain(
+            'where exists (select 1 from "Post" as "Post_rel_replies" where "Post_rel_replies"."parentId" = "Post"."id" ' +
+              'and ("Post_rel_replies"."tags" && ?))'
+          );
+          expect(sql({ 'replies.tags:arrayLength:lt': '1' }).sql).to.contain(
+            'and coalesce(array_length("Post_rel_replies"."tags", 1), 0) < ?'
+          );
+        });
+
+        it('should fail on other databases', function () {
+          if (knexConfig.client === 'postgres') {
+            return this.skip();
+          }
+
+          return Promise.all(
+            _.map(
+              [{ 'pets.name:arrayContains': 'a' }, { 'firstName:arrayLength:gt': 1 }],
+              (params) => {
+                expect(() => objectionFind(Person).collectErrors().build(params))
+                  .to.throw(objectionFind.FindQueryError)
+                  .with.nested.property('errors[0].code', 'INVALID_FILTER');
+
+                const errors = objectionFind(Person).validate(
+                  Object.assign({ 'age:gt': 'old' }, params)
+                );
+
+                expect(_.map(errors, 'code')).to.eql(['INVALID_VALUE', 'INVALID_FILTER']);
+                expect(errors[1].key).to.equal(_.keys(params)[0]);
+
+                return objectionFind(Person)
+                  .build(params)
+                  .then(
+                    () => expect.fail('should have failed'),
+                    (err) => {
+                      expect(err).to.be.an.instanceof(objectionFind.FindQueryError);
+                      expect(err.code).to.equal('INVALID_FILTER');
+                      expect(err.message).to.contain('requires PostgreSQL');
+                    }
+                  );
+              }
+            )
+          );
+        });
+
+        it('should not order by arrayLength', function () {
+          expect(() => sql({ orderBy: 'tags:arrayLength' }))
+            .to.throw(objectionFind.FindQueryError)
+            .with.property('code', 'INVALID_ORDER_BY');
+        });
+      });
+
+      describe('date filters', function () {
+        class Article extends Model {
+          static get tableName() {
+            return 'Article';
+          }
+
+          static get jsonSchema() {
+            return {
+              type: 'object',
+              properties: {
+                id: { type: 'integer' },
+                title: { type: 'string' },
+                createdAt: { type: 'string', format: 'date-time' },
+                publishedOn: { type: 'string', format: 'date' },
+              },
+            };
+          }
+        }
+
+        const now = new Date('2020-10-29T12:00:00.000Z');
+        const findQuery = () => objectionFind(Article).clock(() => now);
+        const titles = (params) =>
+          findQuery()
+            .build(params, Article.query(knex))
+            .then((result) => _.map(result, 'title').sort());
+
+        before(() =>
+          knex.schema.dropTableIfExists('Article').createTable('Article', (table) => {
+            table.increments('id').primary();
+            table.string('title');
+            table.dateTime('createdAt');
+            table.date('publishedOn');
+          })
+        );
+
+        before(() =>
+          _.reduce(
+            [
+              { title: 'A', createdAt: '2020-10-29T08:00:00.000Z', publishedOn: '2020-10-29' },
+              { title: 'B', createdAt: '2020-10-25T12:00:00.000Z', publishedOn: '2020-10-25' },
+              { title: 'C', createdAt: '2020-09-01T00:00:00.000Z', publishedOn: '2020-09-01' },
+              { title: 'D', createdAt: '2019-06-01T00:00:00.000Z', publishedOn: '2019-06-01' },
+            ],
+            (promise, article) => promise.then(() => Article.query(knex).insert(article)),
+            Promise.resolve()
+          )
+        );
+
+        after(() => knex.schema.dropTableIfExists('Article'));
+
+        it('should filter with before and after', function () {
+          return Promise.all([
+            titles({ 'createdAt:before': '2020-10-01' }),
+            titles({ 'createdAt:after': '2020-10-25' }),
+            titles({ 'publishedOn:before': 'now-30d' }),
+          ]).then((results) => {
+            expect(results).to.eql([
+              ['C', 'D'],
+              ['A', 'B'],
+              ['C', 'D'],
+            ]);
+          });
+        });
+
+        it('should resolve relative dates in other filters', function () {
+          return Promise.all([
+            titles({ 'createdAt:gt': 'now-7d' }),
+            titles({ 'createdAt:lt': 'now-30d' }),
+            titles({ 'publishedOn:gte': 'now-4d' }),
+            titles({ 'createdAt:between': 'now-1y,now-30d' }),
+          ]).then((results) => {
+            expect(results).to.eql([['A', 'B'], ['C', 'D'], ['A', 'B'], ['C']]);
+          });
+        });
+
+        it('should compare the date part with onDate', function () {
+          return Promise.all([
+            titles({ 'createdAt:onDate': '2020-10-29' }),
+            titles({ 'createdAt:onDate': 'now-4d' }),
+            titles({ 'publishedOn:onDate': '2020-09-01' }),
+          ]).then((results) => {
+            expect(results).to.eql([['A'], ['B'], ['C']]);
+          });
+        });
+
+        it('should filter with withinLast and olderThan', function () {
+          return Promise.all([
+            titles({ 'createdAt:withinLast': '7d' }),
+            titles({ 'createdAt:withinLast': '1d' }),
+            titles({ 'createdAt:olderThan': '1M' }),
+            titles({ 'createdAt:olderThan': '1y' }),
+          ]).then((results) => {
+            expect(results).to.eql([['A', 'B'], ['A'], ['C', 'D'], ['D']]);
+          });
+        });
+
+        it('should use the current time by default', function () {
+          return objectionFind(Article)
+            .build({ 'createdAt:before': 'now' }, Article.query(knex))
+            .then((result) => {
+              expect(result).to.have.length(4);
+            });
+        });
+
+        it('should fail with invalid dates and durations', function () {
+          _.each(
+            [
+              { 'createdAt:before': 'yesterday' },
+              { 'createdAt:onDate': '29.10.2020' },
+              { 'createdAt:gt': 'now-7q' },
+              { 'createdAt:withinLast': '7' },
+              { 'createdAt:olderThan': 'now-1y' },
+              { 'createdAt:gt': 'now-99999999y' },
+              { 'createdAt:before': 'now-99999999y' },
+              { 'publishedOn:lt': 'now+99999999M' },
+              { 'createdAt:withinLast': '99999999y' },
+            ],
+            (params) => {
+              expect(() => findQuery().build(params, Article.query(knex)))
+                .to.throw(objectionFind.FindQueryError)
+                .with.property('code', 'INVALID_VALUE');
+            }
+          );
+        });
+
+        it('should shift months and years to the last day of shorter months', function () {
+          const bindings = (date, params) => {
+            const knex = Knex({ client: 'pg' });
+            const query = objectionFind(Article)
+              .clock(() => new Date(date))
+              .build(params, Article.query(knex))
+              .toKnexQuery()
+              .toSQL();
+
+            knex.destroy();
+            return query.bindings;
+          };
+
+          expect(bindings('2020-03-31T12:00:00.000Z', { 'createdAt:lt': 'now-1M' })).to.eql([
+            '2020-02-29T12:00:00.000Z',
+          ]);
+          expect(bindings('2020-01-31T12:00:00.000Z', { 'publishedOn:gt': 'now+3M' })).to.eql([
+            '2020-04-30',
+          ]);
+          expect(bindings('2020-02-29T12:00:00.000Z', { 'createdAt:olderThan': '1y' })).to.eql([
+            '2019-02-28T12:00:00.000Z',
+          ]);
+          expect(bindings('2020-10-31T12:00:00.000Z', { 'createdAt:withinLast': '13M' })).to.eql([
+            '2019-09-30T12:00:00.000Z',
+          ]);
+        });
+
+        it('should extract the date part on each database', function () {
+          const sql = (client) => {
+            const knex = Knex({ client });
+            const sql = findQuery()
+              .build({ 'createdAt:onDate': '2020-10-29' }, Article.query(knex))
+              .toKnexQuery()
+              .toString();
+
+            knex.destroy();
+            return sql;
+          };
+
+          expect(sql('pg')).to.contain(
+            `where (cast("Article"."createdAt" as date) = '2020-10-29')`
+          );
+          expect(sql('mysql')).to.contain("where (date(`Article`.`createdAt`) = '2020-10-29')");
+        });
+      });
+
+      describe('relations', function () {
+        describe('one to one relation', function () {
+          it("should return persons whose parent's firstName equals the given string", function () {
+            return objectionFind(Person)
+              .build({
+                'parent.firstName': 'F00',
+              })
+              .then(function (result) {
+                expect(_.invokeMap(result, 'fullName').sort()).to.eql(['F01 L08']);
+              });
+          });
+
+          it("should return persons whose parent's firstName or lastName match the given pattern", function () {
+            return objectionFind(Person)
+              .build({
+                'parent.firstName|parent.lastName:like': '%01%',
+              })
+              .then(function (result) {
+                expect(_.invokeMap(result, 'fullName').sort()).to.eql(['F02 L07', 'F09 L00']);
+              });
+          });
+
+          it('should return all persons that have a parent', function () {
+            return objectionFind(Person)
+              .build({
+                'parent.id:notNull': '',
+              })
+              .then(function (result) {
+                expect(_.invokeMap(result, 'fullName').sort()).to.eql([
+                  'F01 L08',
+                  'F02 L07',
+                  'F03 L06',
+                  'F04 L05',
+                  'F05 L04',
+                  'F06 L03',
+                  'F07 L02',
+                  'F08 L01',
+                  'F09 L00',
+                ]);
+              });
+          });
+        });
+
+        describe('one to many relation', function () {
+          it('should return all persons who have a pet whose name > P55 and also have a pet whose name < P60', function () {
+            return objectionFind(Person)
+              .build({
+                'pets.name:gt': 'P55',
+                'pets.name:lt': 'P60',
+              })
+              .then(function (result) {
+                expect(_.invokeMap(result, 'fullName').sort()).to.eql(['F05 L04']);
+              });
+          });
+        });
+
+        describe('many to many relation', function () {
+          it('should return all persons who have a movie whose name > M10 and also have a movie whose name < M40', function () {
+            return objectionFind(Person)
+              .build({
+                'movies.name:gt': 'M10',
+                'movies.name:lt': 'M40',
+              })
+              .then(function (result) {
+                expect(_.invokeMap(result, 'fullName').sort()).to.eql([
+                  'F06 L03',
+                  'F07 L02',
+                  'F08 L01',
+                ]);
+              });
+          });
+        });
+        describe('nested relations', function () {
+          it("should return persons whose grandparent's firstName equals the given string", function () {
+            return objectionFind(Person)
+              .build({
+                'parent.parent.firstName': 'F00',
+              })
+              .then(function (result) {
+                expect(_.invokeMap(result, 'fullName').sort()).to.eql(['F02 L07']);
+              });
+          });
+
+          it('should return persons whose parent has a pet with the given name', function () {
+            return objectionFind(Person)
+              .build({
+                'parent.pets.name': 'P15',
+              })
+              .then(function (result) {
+                expect(_.invokeMap(result, 'fullName').sort()).to.eql(['F02 L07']);
+              });
+          });
+
+          it("should return persons who have a pet whose owner's parent has the given firstName", function () {
+            return objectionFind(Person)
+              .build({
+                'pets.owner.parent.firstName': 'F03',
+              })
+              .then(function (result) {
+                expect(_.invokeMap(result, 'fullName').sort()).to.eql(['F04 L05']);
+              });
+          });
+
+          it('should return persons who have a child who acted in a movie matching the filter', function () {
+            return objectionFind(Person)
+              .build({
+                'children.movies.name:in': 'M09,M19',
+              })
+              .then(function (result) {
+                expect(_.invokeMap(result, 'fullName').sort()).to.eql(['F07 L02', 'F08 L01']);
+              });
+          });
+
+          it('should return persons who have a grandchild who has a pet with the given name', function () {
+            return objectionFind(Person)
+              .build({
+                'children.children.pets.name': 'P55',
+              })
+              .then(function (result) {
+                expect(_.invokeMap(result, 'fullName').sort()).to.eql(['F03 L06']);
+              });
+          });
+
+          it('should combine nested references with an `OR` operator', function () {
+            return objectionFind(Person)
+              .build({
+                'firstName|children.pets.name': 'P15',
+              })
+              .then(function (result) {
+                expect(_.invokeMap(result, 'fullName').sort()).to.eql(['F00 L09']);
+              });
+          });
+
+          it('should check allowed references using the full path', function () {
+            expect(function () {
+              objectionFind(Person)
+                .allow('parent.parent.firstName')
+                .build({ 'parent.parent.firstName': 'F00' });
+            }).to.not.throw();
+
+            expect(function () {
+              objectionFind(Person)
+                .allow('parent.firstName')
+                .build({ 'parent.parent.firstName': 'F00' });
+            })
+              .to.throw(Error)
+              .with.property('statusCode', 400);
+          });
+        });
+      });
+
+      describe('quantifiers', function () {
+        it('should return persons who have no related models matching the filter', function () {
+          return objectionFind(Person)
+            .build({
+              '!children.age:lt': 50,
+            })
+            .then(function (result) {
+              expect(_.invokeMap(result, 'fullName').sort()).to.eql([
+                'F04 L05',
+                'F05 L04',
+                'F06 L03',
+                'F07 L02',
+                'F08 L01',
+                'F09 L00',
+              ]);
+            });
+        });
+
+        it('should return persons whose every related model matches the filter', function () {
+          return objectionFind(Person)
+            .build({
+              'children.age:lt:all': 50,
+            })
+            .then(function (result) {
+              // F09 L00 doesn't have children so all of them match.
+              expect(_.invokeMap(result, 'fullName').sort()).to.eql([
+                'F00 L09',
+                'F01 L08',
+                'F02 L07',
+                'F03 L06',
+                'F09 L00',
+              ]);
+            });
+        });
+
+        it('should apply `every` to all levels of nested relations', function () {
+          return objectionFind(Person)
+            .build({
+              'children.pets.name:lt:all': 'P30',
+              'pets.name:like:all': 'P%',
+            })
+            .then(function (result) {
+              expect(_.invokeMap(result, 'fullName').sort()).to.eql([
+                'F00 L09',
+                'F01 L08',
+                'F09 L00',
+              ]);
+            });
+        });
+
+        it('should negate filters of own properties and require that none of multiple references match', function () {
+          return objectionFind(Person)
+            .build({
+              '!firstName|children.firstName:in': 'F01,F05',
+              'firstName:lt': 'F07',
+            })
+            .then(function (result) {
+              expect(_.invokeMap(result, 'fullName').sort()).to.eql([
+                'F02 L07',
+                'F03 L06',
+                'F06 L03',
+              ]);
+            });
+        });
+
+        it('should fail if `!` and `:all` are combined', function () {
+          expect(function () {
+            objectionFind(Person).build({ '!children.age:lt:all': 10 });
+          })
+            .to.throw(Error)
+            .with.property('statusCode', 400);
+        });
+      });
+
+      describe('aggregate filters', function () {
+        it('should filter by the number of related models', function () {
+          return objectionFind(Person)
+            .build({
+              'children:count': 0,
+            })
+            .then(function (result) {
+              expect(_.invokeMap(result, 'fullName')).to.eql(['F09 L00']);
+            });
+        });
+
+        it('should filter by an aggregate of a property', function () {
+          return objectionFind(Person)
+            .build({
+              'children.age:avg:gte': 50,
+              'movies.name:max:gt': 'M20',
+            })
+            .then(function (result) {
+              expect(_.invokeMap(result, 'fullName').sort()).to.eql([
+                'F04 L05',
+                'F05 L04',
+                'F06 L03',
+                'F07 L02',
+              ]);
+            });
+        });
+
+        it('should filter by an aggregate over nested relations', function () {
+          return objectionFind(Person)
+            .build({
+              'children.pets.name:min:in': 'P10,P20',
+            })
+            .then(function (result) {
+              expect(_.invokeMap(result, 'fullName').sort()).to.eql(['F00 L09', 'F01 L08']);
+            });
+        });
+
+        it('should combine aggregates of multiple references with `OR`', function () {
+          return objectionFind(Person)
+            .build({
+              'children:count|parent.pets:count:lt': 1,
+            })
+            .then(function (result) {
+              expect(_.invokeMap(result, 'fullName').sort()).to.eql(['F00 L09', 'F09 L00']);
+            });
+        });
+
+        it('should fail if the aggregate is invalid', function () {
+          expect(function () {
+            objectionFind(Person).build({ 'children.age:median:gt': 1 });
+          })
+            .to.throw(Error)
+            .with.property('statusCode', 400);
+
+          expect(function () {
+            objectionFind(Person).build({ 'firstName:count:gt': 1 });
+          })
+            .to.throw(Error)
+            .with.property('statusCode', 400);
+        });
+      });
+
+      describe('groups', function () {
+        it('should combine `or` groups with `OR` and parameters inside a group with `AND`', function () {
+          return objectionFind(Person)
+            .build({
+              or: [{ 'firstName:lt': 'F02', lastName: 'L08' }, { 'parent.firstName': 'F05' }],
+            })
+            .then(function (result) {
+              expect(_.invokeMap(result, 'fullName').sort()).to.eql(['F01 L08', 'F06 L03']);
+            });
+        });
+
+        it('should treat each parameter of an `or` object as an alternative', function () {
+          return objectionFind(Person)
+            .build({
+              'age:gt': 0,
+              or: { firstName: 'F00', 'pets.name': 'P25' },
+            })
+            .then(function (result) {
+              expect(_.invokeMap(result, 'fullName').sort()).to.eql(['F02 L07']);
+            });
+        });
+
+        it('should negate `not` groups', function () {
+          return objectionFind(Person)
+            .build({
+              'firstName:lt': 'F04',
+              not: { 'pets.name:like': 'P1%' },
+            })
+            .then(function (result) {
+              expect(_.invokeMap(result, 'fullName').sort()).to.eql([
+                'F00 L09',
+                'F02 L07',
+                'F03 L06',
+              ]);
+            });
+        });
+
+        it('should support nested groups', function () {
+          return objectionFind(Person)
+            .build({
+              or: [
+                { and: [{ 'age:gte': 70 }, { not: { firstName: 'F08' } }] },
+                { 'firstName|lastName': 'F01' },
+              ],
+            })
+            .then(function (result) {
+              expect(_.invokeMap(result, 'fullName').sort()).to.eql([
+                'F01 L08',
+                'F07 L02',
+                'F09 L00',
+              ]);
+            });
+        });
+
+        it('should accept groups as JSON strings', function () {
+          return objectionFind(Person)
+            .build({
+              or: JSON.stringify([{ firstName: 'F03' }, { 'parent.firstName': 'F03' }]),
+            })
+            .then(function (result) {
+              expect(_.invokeMap(result, 'fullName').sort()).to.eql(['F03 L06', 'F04 L05']);
+            });
+        });
+
+        it('should check property references inside groups against `allow`', function () {
+          expect(function () {
+            objectionFind(Person)
+              .allow('firstName')
+              .build({ or: [{ firstName: 'F01' }, { 'parent.firstName': 'F01' }] });
+          })
+            .to.throw(Error)
+            .with.property('statusCode', 400);
+        });
+
+        it('should fail with invalid groups', function () {
+          expect(function () {
+            objectionFind(Person).build({ or: [{ orderBy: 'firstName' }] });
+          })
+            .to.throw(Error)
+            .with.property('statusCode', 400);
+
+          expect(function () {
+            objectionFind(Person).build({ not: 'firstName' });
+          })
+            .to.throw(Error)
+            .with.property('statusCode', 400);
+
+          expect(function () {
+            objectionFind(Person).build({ and: [] });
+          })
+            .to.throw(Error)
+            .with.property('statusCode', 400);
+        });
+      });
+
+      describe('ordering', function () {
+        describe('orderBy', function () {
+          it('should order by a property in ascending order', function () {
+            return objectionFind(Person)
+              .build({
+                orderBy: 'lastName',
+              })
+              .then(function (result) {
+                expect(_.map(result, 'lastName')).to.eql([
+                  'L00',
+                  'L01',
+                  'L02',
+                  'L03',
+                  'L04',
+                  'L05',
+                  'L06',
+                  'L07',
+                  'L08',
+                  'L09',
+                ]);
+              });
+          });
+
+          it('should throw if trying to order by HasManyRelation relation properties', function () {
+            expect(function () {
+              objectionFind(Person).build({ orderBy: 'movies.name' });
+            })
+              .to.throw(Error)
+              .with.property('statusCode', 400);
+          });
+        });
+
+        describe('multiple columns', function () {
+          it('should order by several properties in the given order', function () {
+            return objectionFind(Animal)
+              .build({
+                'ownerId:in': '1,2',
+                'name:like': '%5',
+                orderBy: '-ownerId,name',
+              })
+              .then(function (result) {
+                expect(_.map(result, 'name')).to.eql(['P15', 'P05']);
+              });
+          });
+
+          it('should support relation properties and explicit directions', function () {
+            return objectionFind(Animal)
+              .build({
+                'name:in': 'P01,P02,P11,P12',
+                orderByDesc: 'owner.firstName, +name',
+              })
+              .then(function (result) {
+                expect(_.map(result, 'name')).to.eql(['P11', 'P12', 'P01', 'P02']);
+              });
+          });
+
+          it('should place nulls first or last', function () {
+            return Promise.all([
+              objectionFind(Person).build({ orderBy: 'parent.firstName:nullsFirst' }),
+              objectionFind(Person).build({ orderBy: '-parent.firstName:nullsLast' }),
+            ]).then(function ([nullsFirst, nullsLast]) {
+              expect(_.map(nullsFirst, 'firstName')).to.eql([
+                'F00',
+                'F01',
+                'F02',
+                'F03',
+                'F04',
+                'F05',
+                'F06',
+                'F07',
+                'F08',
+                'F09',
+              ]);
+              expect(_.map(nullsLast, 'firstName')).to.eql([
+                'F09',
+                'F08',
+                'F07',
+                'F06',
+                'F05',
+                'F04',
+                'F03',
+                'F02',
+                'F01',
+                'F00',
+              ]);
+            });
+          });
+
+          it('should check every property against `allow`', function () {
+            expect(function () {
+              objectionFind(Person).allow('firstName').build({ orderBy: 'firstName,-lastName' });
+            })
+              .to.throw(Error)
+              .with.property('statusCode', 400);
+          });
+
+          it('should throw if a property is missing', function () {
+            expect(function () {
+              objectionFind(Person).build({ orderBy: 'firstName,,lastName' });
+            })
+              .to.throw(Error)
+              .with.property('statusCode', 400);
+          });
+
+          it('should only take `nullsFirst` and `nullsLast` as nulls placements', function () {
+            _.each(['age:constructor', 'age:toString'], (orderBy) => {
+              const sql = objectionFind(Person).build({ orderBy: orderBy }).toKnexQuery().toSQL();
+              expect(sql.sql).to.not.contain('is null');
+            });
+          });
+        });
+
+        describe('aggregates', function () {
+          it('should order by an aggregate of a one to many relation', function () {
+            return objectionFind(Person)
+              .build({
+                orderByDesc: 'pets.name:max',
+              })
+              .then(function (result) {
+                expect(_.map(result, 'firstName')).to.eql([
+                  'F09',
+                  'F08',
+                  'F07',
+                  'F06',
+                  'F05',
+                  'F04',
+                  'F03',
+                  'F02',
+                  'F01',
+                  'F00',
+                ]);
+                expect(result[0]).to.not.have.property('petsNameMax');
+                expect(_.keys(result[0]).sort()).to.eql(_.keys(result[9]).sort());
+              });
+          });
+
+          it('should order by an aggregate of a many to many relation', function () {
+            return objectionFind(Person)
+              .build({
+                'firstName:lt': 'F03',
+                orderBy: 'movies.name:min',
+              })
+              .then(function (result) {
+                expect(_.map(result, 'firstName')).to.eql(['F02', 'F01', 'F00']);
+              });
+          });
+
+          it('should order by the number of related models', function () {
+            return objectionFind(Person)
+              .build({
+                orderBy: 'children:count,-firstName',
+              })
+              .then(function (result) {
+                expect(_.map(result, 'firstName')).to.eql([
+                  'F09',
+                  'F08',
+                  'F07',
+                  'F06',
+                  'F05',
+                  'F04',
+                  'F03',
+                  'F02',
+                  'F01',
+                  'F00',
+                ]);
+              });
+          });
+
+          it('should aggregate over nested relations', function () {
+            return objectionFind(Person)
+              .build({
+                'parent.firstName:in': 'F00,F07,F08',
+                orderByDesc: 'children.pets:count,+firstName',
+              })
+              .then(function (result) {
+                expect(_.map(result, 'firstName')).to.eql(['F01', 'F08', 'F09']);
+              });
+          });
+
+          it('should not add the aggregates to the results', function () {
+            return Promise.all([
+              objectionFind(Person).build({ orderBy: 'children:count' }),
+              objectionFind(Person).build({ orderBy: 'children:count', after: '', limit: 5 }),
+            ]).then(function ([result, page]) {
+              const properties = ['age', 'firstName', 'id', 'lastName', 'pid'];
+
+              expect(_.keys(result[0]).sort()).to.eql(properties);
+              expect(_.keys(page.results[0]).sort()).to.eql(properties);
+
+              return objectionFind(Person)
+                .build({ orderBy: 'children:count', after: page.nextCursor, limit: 5 })
+                .then(function (nextPage) {
+                  expect(_.map(page.results.concat(nextPage.results), 'firstName')).to.eql([
+                    'F09',
+                    'F00',
+                    'F01',
+                    'F02',
+                    'F03',
+                    'F04',
+                    'F05',
+                    'F06',
+                    'F07',
+                    'F08',
+                  ]);
+                  expect(_.keys(nextPage.results[0]).sort()).to.eql(properties);
+                });
+            });
+          });
+
+          it('should throw if the aggregated reference has no to-many relation', function () {
+            expect(function () {
+              objectionFind(Person).build({ orderBy: 'parent.age:max' });
+            })
+              .to.throw(Error)
+              .with.property('statusCode', 400);
+          });
+        });
+
+        describe('orderByAsc', function () {
+          it('should order by a property in ascending order', function () {
+            return objectionFind(Person)
+              .build({
+                orderByAsc: ['parent.lastName'],
+              })
+              .then(function (result) {
+                // L09 doesn't have a parent, so it comes first or last depending on the database.
+                expect(_.without(_.map(result, 'lastName'), 'L09')).to.eql([
+                  'L00',
+                  'L01',
+                  'L02',
+                  'L03',
+                  'L04',
+                  'L05',
+                  'L06',
+                  'L07',
+                  'L08',
+                ]);
+                expect(_.map(result, 'lastName')).to.contain('L09');
+              });
+          });
+
+          it("should order by a grandparent's property in ascending order", function () {
+            return objectionFind(Person)
+              .build({
+                'parent.parent.id:notNull': '',
+                orderByAsc: 'parent.parent.lastName',
+              })
+              .then(function (result) {
+                expect(_.map(result, 'lastName')).to.eql([
+                  'L00',
+                  'L01',
+                  'L02',
+                  'L03',
+                  'L04',
+                  'L05',
+                  'L06',
+                  'L07',
+                ]);
+              });
+          });
+
+          it('should order a column alias in ascending order', function () {
+            return objectionFind(Animal)
+              .build({
                 orderByAsc: ['owner:parent:lastName'],
                 join: 'owner.[parent]',
               })
-              .then(function (result) {
-                const names = _.map(
-                  _.reject(result, (pet) => _.includes(pet.name, 'P0')),
-                  'name'
+              .then(function (result) {
+                const names = _.map(
+                  _.reject(result, (pet) => _.includes(pet.name, 'P0')),
+                  'name'
+                );
+                // P99 should be within the first 10 pets
+                expect(_.slice(names, 0, 10)).to.contain('P99');
+                // P10 should be within the last 10 pets
+                expect(_.slice(names, names.length - 10, names.length)).to.contain('P10');
+                expect(_.map(result, 'name')).to.contain('P00');
+              });
+          });
+        });
+
+        describe('orderByDesc', function () {
+          it('should order by a property in descending order', function () {
+            return objectionFind(Person)
+              .build({
+                orderByDesc: 'parent.firstName',
+              })
+              .then(function (result) {
+                // F00 doesn't have a parent, so it comes first or last depending on the database.
+                expect(_.without(_.map(result, 'firstName'), 'F00')).to.eql([
+                  'F09',
+                  'F08',
+                  'F07',
+                  'F06',
+                  'F05',
+                  'F04',
+                  'F03',
+                  'F02',
+                  'F01',
+                ]);
+                expect(_.map(result, 'firstName')).to.contain('F00');
+              });
+          });
+
+          it('should order a column alias in descending order', function () {
+            return objectionFind(Animal)
+              .build({
+                orderByDesc: ['owner:parent:lastName'],
+                eager: 'owner.[parent]',
+              })
+              .eagerAlgorithm(Model.JoinEagerAlgorithm)
+              .then(function (result) {
+                const names = _.map(
+                  _.reject(result, (pet) => _.includes(pet.name, 'P0')),
+                  'name'
+                );
+                // P10 should be within the first 10 pets
+                expect(_.slice(names, 0, 10)).to.contain('P10');
+                // P99 should be within the last 10 pets
+                expect(_.slice(names, names.length - 10, names.length)).to.contain('P99');
+                expect(_.map(result, 'name')).to.contain('P00');
+              });
+          });
+        });
+      });
+
+      describe('range', function () {
+        it('should only select the given range', function () {
+          return objectionFind(Person)
+            .build({
+              'firstName:gte': 'F04',
+              rangeStart: '2',
+              rangeEnd: '4',
+            })
+            .then(function (result) {
+              expect(result.total).to.equal(6);
+              expect(_.map(result.results, 'firstName')).to.eql(['F06', 'F07', 'F08']);
+            });
+        });
+
+        it('should throw if rangeStart or rangeEnd cannot be parsed to integer', function () {
+          expect(function () {
+            objectionFind(Person).build({
+              'firstName:gte': 'F04',
+              rangeStart: 'X',
+              rangeEnd: '4',
+            });
+          })
+            .to.throw(Error)
+            .with.property('statusCode', 400);
+
+          expect(function () {
+            objectionFind(Person).build({
+              'firstName:gte': 'F04',
+              rangeStart: '2',
+              rangeEnd: 'X',
+            });
+          })
+            .to.throw(Error)
+            .with.property('statusCode', 400);
+        });
+
+        it('should select the rest of the rows when only rangeStart is given', function () {
+          return Promise.all([
+            objectionFind(Person).build({ 'firstName:gte': 'F04', rangeStart: '2' }),
+            objectionFind(Person)
+              .defaultRange(2)
+              .build({ 'firstName:gte': 'F04', rangeStart: '2' }),
+          ]).then(([all, page]) => {
+            expect(all.total).to.equal(6);
+            expect(_.map(all.results, 'firstName')).to.eql(['F06', 'F07', 'F08', 'F09']);
+            expect(page.total).to.equal(6);
+            expect(_.map(page.results, 'firstName')).to.eql(['F06', 'F07']);
+          });
+        });
+
+        it('should select the default range when no range is given', function () {
+          return Promise.all([
+            objectionFind(Person).defaultRange(3).build({ orderBy: 'firstName' }),
+            objectionFind(Person).maxRange(2).build({ orderBy: 'firstName' }),
+            objectionFind(Person).defaultRange(3).build({}, Person.query().page(1, 4)),
+          ]).then(([defaultRange, maxRange, page]) => {
+            expect(_.map(defaultRange, 'firstName')).to.eql(['F00', 'F01', 'F02']);
+            expect(_.map(maxRange, 'firstName')).to.eql(['F00', 'F01']);
+            expect(page.results).to.have.length(4);
+          });
+        });
+
+        it('should reject or clamp ranges larger than maxRange', function () {
+          expect(() => objectionFind(Person).maxRange(3).build({ rangeStart: 0, rangeEnd: 9 }))
+            .to.throw(objectionFind.FindQueryError, 'Range size 10 exceeds the maximum 3')
+            .with.property('key', 'rangeEnd');
+
+          expect(() => objectionFind(Person).maxRange(3).build({ limit: 4 }))
+            .to.throw(objectionFind.FindQueryError, 'Range size 4 exceeds the maximum 3')
+            .with.property('code', 'INVALID_RANGE');
+
+          return objectionFind(Person)
+            .maxRange(3, { clamp: true })
+            .build({ 'firstName:gte': 'F04', rangeStart: 1, rangeEnd: 100 })
+            .then((result) => {
+              expect(result.total).to.equal(6);
+              expect(_.map(result.results, 'firstName')).to.eql(['F05', 'F06', 'F07']);
+            });
+        });
+
+        it('should select the rows using limit and offset', function () {
+          return Promise.all([
+            objectionFind(Person).build({ orderBy: 'firstName', limit: 2, offset: 3 }),
+            objectionFind(Person).build({ orderBy: 'firstName', limit: 2 }),
+            objectionFind(Person).defaultRange(3).build({ orderBy: 'firstName', offset: 8 }),
+          ]).then((results) => {
+            expect(_.map(results, (result) => _.map(result, 'firstName'))).to.eql([
+              ['F03', 'F04'],
+              ['F00', 'F01'],
+              ['F08', 'F09'],
+            ]);
+          });
+        });
+
+        it('should throw for invalid limits and offsets', function () {
+          expect(() => objectionFind(Person).build({ limit: 0 }))
+            .to.throw(objectionFind.FindQueryError, 'Invalid limit "0"')
+            .with.property('code', 'INVALID_RANGE');
+
+          expect(() => objectionFind(Person).build({ offset: -1 }))
+            .to.throw(objectionFind.FindQueryError, 'Invalid offset "-1"')
+            .with.property('code', 'INVALID_RANGE');
+
+          expect(() => objectionFind(Person).build({ rangeStart: 0, rangeEnd: 4, limit: 2 }))
+            .to.throw(
+              objectionFind.FindQueryError,
+              'Ranges cannot be combined with limit and offset'
+            )
+            .with.property('key', 'limit');
+        });
+
+        it('should not limit the joined rows by default', function () {
+          return objectionFind(Person)
+            .maxRange(3)
+            .build({ join: 'pets' })
+            .then((result) => {
+              expect(result).to.have.length(10);
+              expect(_.uniq(_.map(result, (person) => person.pets.length))).to.eql([10]);
+            });
+        });
+
+        it('should limit cursor pages to the default range', function () {
+          return objectionFind(Person)
+            .defaultRange(4)
+            .build({ orderBy: 'firstName', after: '' })
+            .then((result) => {
+              expect(_.map(result.results, 'firstName')).to.eql(['F00', 'F01', 'F02', 'F03']);
+              expect(result.nextCursor).to.be.a('string');
+            });
+        });
+
+        it('should read the range sizes from findConfig', function () {
+          const RangedPerson = class extends Person {
+            static get findConfig() {
+              return { defaultRange: 2, maxRange: { size: 3, clamp: true } };
+            }
+          };
+
+          return Promise.all([
+            objectionFind(RangedPerson).build({ orderBy: 'firstName' }),
+            objectionFind(RangedPerson).build({ orderBy: 'firstName', limit: 5 }),
+          ]).then(([defaultRange, clamped]) => {
+            expect(defaultRange).to.have.length(2);
+            expect(clamped).to.have.length(3);
+          });
+        });
+      });
+
+      describe('page', function () {
+        it('should select the given page', function () {
+          return Promise.all([
+            objectionFind(Person).build({ orderBy: 'firstName', page: 1, pageSize: 3 }),
+            objectionFind(Person).build({ orderBy: 'firstName', pageSize: 3 }),
+            objectionFind(Person).defaultRange(4).build({ orderBy: 'firstName', page: 2 }),
+          ]).then((results) => {
+            expect(_.map(results, 'total')).to.eql([10, 10, 10]);
+            expect(_.map(results, (result) => _.map(result.results, 'firstName'))).to.eql([
+              ['F03', 'F04', 'F05'],
+              ['F00', 'F01', 'F02'],
+              ['F08', 'F09'],
+            ]);
+          });
+        });
+
+        it('should select the page with renamed special parameters', function () {
+          return objectionFind(Person)
+            .specialParameter('page', 'p')
+            .specialParameter('pageSize', 'perPage')
+            .build({ 'firstName:gte': 'F04', orderBy: 'firstName', p: 1, perPage: 4 })
+            .then((result) => {
+              expect(result.total).to.equal(6);
+              expect(_.map(result.results, 'firstName')).to.eql(['F08', 'F09']);
+            });
+        });
+
+        it('should limit the page size to maxRange', function () {
+          expect(() => objectionFind(Person).maxRange(5).build({ page: 0, pageSize: 6 }))
+            .to.throw(objectionFind.FindQueryError, 'Range size 6 exceeds the maximum 5')
+            .with.property('key', 'pageSize');
+
+          return objectionFind(Person)
+            .maxRange(5, { clamp: true })
+            .build({ page: 1, pageSize: 6 })
+            .then((result) => {
+              expect(result.total).to.equal(10);
+              expect(result.results).to.have.length(5);
+            });
+        });
+
+        it('should throw for invalid pages', function () {
+          expect(() => objectionFind(Person).build({ page: 1 }))
+            .to.throw(objectionFind.FindQueryError, 'Page size is required')
+            .with.property('key', 'page');
+
+          expect(() => objectionFind(Person).build({ page: -1, pageSize: 10 }))
+            .to.throw(objectionFind.FindQueryError, 'Invalid page "-1"')
+            .with.property('code', 'INVALID_RANGE');
+
+          expect(() => objectionFind(Person).build({ page: 0, pageSize: 'x' }))
+            .to.throw(objectionFind.FindQueryError, 'Invalid pageSize "x"')
+            .with.property('code', 'INVALID_RANGE');
+
+          expect(() => objectionFind(Person).build({ page: 0, pageSize: 10, limit: 5 }))
+            .to.throw(
+              objectionFind.FindQueryError,
+              'Pages cannot be combined with ranges, limit and offset'
+            )
+            .with.property('key', 'page');
+
+          expect(() =>
+            objectionFind(Person).build({ orderBy: 'firstName', after: '', page: 1, limit: 2 })
+          )
+            .to.throw(objectionFind.FindQueryError, 'Cursors cannot be combined with ranges')
+            .with.property('key', 'page');
+        });
+      });
+
+      describe('cursor', function () {
+        it('should page forwards and backwards using cursors', function () {
+          const find = (params) =>
+            objectionFind(Person).build(Object.assign({ orderByDesc: 'age', limit: 4 }, params));
+
+          let page1, page2;
+
+          return find({ after: '' })
+            .then(function (result) {
+              page1 = result;
+              expect(_.map(page1.results, 'firstName')).to.eql(['F09', 'F08', 'F07', 'F06']);
+              expect(page1.previousCursor).to.equal(null);
+              expect(page1.nextCursor).to.be.a('string');
+              return find({ after: page1.nextCursor });
+            })
+            .then(function (result) {
+              page2 = result;
+              expect(_.map(page2.results, 'firstName')).to.eql(['F05', 'F04', 'F03', 'F02']);
+              expect(page2.previousCursor).to.be.a('string');
+              return find({ after: page2.nextCursor });
+            })
+            .then(function (page3) {
+              expect(_.map(page3.results, 'firstName')).to.eql(['F01', 'F00']);
+              expect(page3.nextCursor).to.equal(null);
+              return find({ before: page2.previousCursor });
+            })
+            .then(function (result) {
+              expect(_.map(result.results, 'firstName')).to.eql(['F09', 'F08', 'F07', 'F06']);
+              expect(result.previousCursor).to.equal(null);
+              expect(result.nextCursor).to.equal(page1.nextCursor);
+            });
+        });
+
+        it('should return the last rows with an empty `before` cursor', function () {
+          return objectionFind(Person)
+            .build({
+              'firstName:lt': 'F06',
+              orderBy: 'parent.firstName',
+              before: '',
+              limit: 2,
+            })
+            .then(function (result) {
+              expect(_.map(result.results, 'firstName')).to.eql(['F04', 'F05']);
+              expect(result.nextCursor).to.equal(null);
+              expect(result.previousCursor).to.be.a('string');
+            });
+        });
+
+        it('should page over null values', function () {
+          const pageAll = (params, cursorName, cursor, names) => {
+            return objectionFind(Person)
+              .build(Object.assign({ [cursorName]: cursor, limit: 3 }, params))
+              .then((result) => {
+                const pageNames = _.map(result.results, 'firstName');
+                names = cursorName === 'after' ? names.concat(pageNames) : pageNames.concat(names);
+                const next = cursorName === 'after' ? result.nextCursor : result.previousCursor;
+                return next ? pageAll(params, cursorName, next, names) : names;
+              });
+          };
+
+          return Promise.all([
+            pageAll({ orderByDesc: 'parent.firstName' }, 'after', '', []),
+            pageAll({ orderByDesc: 'parent.firstName' }, 'before', '', []),
+            pageAll({ orderBy: 'parent.firstName:nullsLast' }, 'after', '', []),
+            pageAll({ orderBy: 'parent.firstName:nullsLast' }, 'before', '', []),
+          ]).then(function (results) {
+            const desc = ['F09', 'F08', 'F07', 'F06', 'F05', 'F04', 'F03', 'F02', 'F01', 'F00'];
+            const nullsLast = _.reverse(_.initial(desc)).concat('F00');
+
+            expect(results).to.eql([desc, desc, nullsLast, nullsLast]);
+          });
+        });
+
+        it('should use the id as a tie-breaker for equal values', function () {
+          return objectionFind(Animal)
+            .build({ 'ownerId:in': '1,2', orderBy: 'ownerId', after: '', limit: 15 })
+            .then(function (result) {
+              return objectionFind(Animal).build({
+                'ownerId:in': '1,2',
+                orderBy: 'ownerId',
+                after: result.nextCursor,
+                limit: 15,
+              });
+            })
+            .then(function (result) {
+              expect(_.map(result.results, 'name')).to.eql(['P15', 'P16', 'P17', 'P18', 'P19']);
+              expect(result.nextCursor).to.equal(null);
+            });
+        });
+
+        it('should throw if the cursor is invalid or was created for another ordering', function () {
+          return objectionFind(Person)
+            .build({ orderBy: 'firstName', after: '', limit: 2 })
+            .then(function (result) {
+              expect(function () {
+                objectionFind(Person).build({ orderBy: 'lastName', after: result.nextCursor });
+              })
+                .to.throw(Error)
+                .with.property('statusCode', 400);
+
+              expect(function () {
+                objectionFind(Person).build({ orderBy: 'firstName', after: 'X' });
+              })
+                .to.throw(Error)
+                .with.property('statusCode', 400);
+
+              const token = (values) =>
+                Buffer.from(JSON.stringify({ k: ['firstName', 'id'], v: values })).toString(
+                  'base64'
                 );
-                // P99 should be within the first 10 pets
-                expect(_.slice(names, 0, 10)).to.contain('P99');
-                // P10 should be within the last 10 pets
-                expect(_.slice(names, names.length - 10, names.length)).to.contain('P10');
-                expect(_.map(result, 'name')).to.contain('P00');
+
+              expect(function () {
+                objectionFind(Person).build({ orderBy: 'firstName', after: token([{}, 1]) });
+              })
+                .to.throw(Error)
+                .with.property('statusCode', 400);
+
+              expect(function () {
+                objectionFind(Person).build({ orderBy: 'firstName', after: token(['F01', null]) });
+              })
+                .to.throw(Error)
+                .with.property('statusCode', 400);
+
+              expect(function () {
+                objectionFind(Person).build({ after: '', limit: 'X' });
+              })
+                .to.throw(Error)
+                .with.property('statusCode', 400);
+            });
+        });
+      });
+
+      describe('allow', function () {
+        it('should not throw is only allowed properties are used', function () {
+          expect(function () {
+            objectionFind(Person).allow('parent.firstName', 'movies.name').build({
+              'movies.name': 'test',
+              orderBy: 'parent.firstName',
+            });
+          }).to.not.throw();
+
+          expect(function () {
+            objectionFind(Person)
+              .allow('parent.firstName')
+              // This should allow everything again.
+              .allowAll(true)
+              .build({
+                'movies.name': 'test',
+                orderBy: 'parent.firstName',
               });
+          }).to.not.throw();
+        });
+
+        it('should throw if using a property reference that is not allowed', function () {
+          expect(function () {
+            objectionFind(Person).allow('firstName').build({ lastName: 'test' });
+          })
+            .to.throw(Error)
+            .with.property('statusCode', 400);
+
+          expect(function () {
+            objectionFind(Person).allow('firstName').build({ orderBy: 'lastName' });
+          })
+            .to.throw(Error)
+            .with.property('statusCode', 400);
+        });
+
+        it('should restrict the filters of property references', function () {
+          const findQuery = () =>
+            objectionFind(Person).allow('lastName', {
+              firstName: ['eq', 'in'],
+              'movies.name': 'startsWith',
+            });
+
+          expect(() =>
+            findQuery().build({
+              firstName: 'F01',
+              'firstName:in': 'F01,F02',
+              'lastName:likeLower': 'l%',
+              'movies.name:startsWith': 'M',
+              orderBy: 'firstName',
+            })
+          ).to.not.throw();
+
+          _.each(
+            [
+              { 'firstName:likeLower': 'f%' },
+              { 'movies.name:eq': 'M01' },
+              { or: [{ firstName: 'F01' }, { 'firstName:contains': '1' }] },
+            ],
+            (params) => {
+              expect(() => findQuery().build(params))
+                .to.throw(objectionFind.FindQueryError)
+                .with.property('code', 'FILTER_NOT_ALLOWED');
+            }
+          );
+        });
+
+        it('should throw if using a denied property reference or filter', function () {
+          const findQuery = () =>
+            objectionFind(Person).deny('age', { firstName: ['likeLower', 'containsLower'] });
+
+          expect(() =>
+            findQuery().build({ 'firstName:eq': 'F01', 'lastName:likeLower': 'l%' })
+          ).to.not.throw();
+
+          const errorOf = (params) => {
+            try {
+              findQuery().build(params);
+            } catch (err) {
+              return _.pick(err, ['code', 'key', 'propertyRef']);
+            }
+          };
+
+          expect(errorOf({ 'age:gt': 10 })).to.eql({
+            code: 'PROPERTY_NOT_ALLOWED',
+            key: 'age:gt',
+            propertyRef: 'age',
+          });
+          expect(errorOf({ orderBy: 'age' })).to.eql({
+            code: 'PROPERTY_NOT_ALLOWED',
+            key: 'orderBy',
+            propertyRef: 'age',
+          });
+          expect(errorOf({ 'lastName|firstName:containsLower': 'f' })).to.eql({
+            code: 'FILTER_NOT_ALLOWED',
+            key: 'lastName|firstName:containsLower',
+            propertyRef: 'firstName',
+          });
+          expect(errorOf({ not: { 'firstName:likeLower': 'f%' } })).to.eql({
+            code: 'FILTER_NOT_ALLOWED',
+            key: 'firstName:likeLower',
+            propertyRef: 'firstName',
+          });
+        });
+
+        it('should check filters, ordering and grouping against their own whitelists', function () {
+          const codeOf = (findQuery, params) => {
+            try {
+              findQuery.build(params);
+            } catch (err) {
+              return err.code;
+            }
+          };
+
+          const findQuery = () =>
+            objectionFind(Person)
+              .allow('firstName', 'lastName')
+              .allowFilter('firstName', { age: ['gt'] })
+              .allowOrderBy('age')
+              .allowGroupBy('lastName');
+
+          expect(
+            codeOf(findQuery(), {
+              firstName: 'F01',
+              'age:gt': 10,
+              orderBy: 'age',
+              groupBy: 'lastName',
+            })
+          ).to.equal(undefined);
+          expect(codeOf(findQuery(), { lastName: 'L01' })).to.equal('PROPERTY_NOT_ALLOWED');
+          expect(codeOf(findQuery(), { 'age:lt': 10 })).to.equal('FILTER_NOT_ALLOWED');
+          expect(codeOf(findQuery(), { or: [{ firstName: 'F01' }, { lastName: 'L01' }] })).to.equal(
+            'PROPERTY_NOT_ALLOWED'
+          );
+          expect(codeOf(findQuery(), { orderBy: 'firstName' })).to.equal('PROPERTY_NOT_ALLOWED');
+          expect(codeOf(findQuery(), { groupBy: 'firstName' })).to.equal('PROPERTY_NOT_ALLOWED');
+
+          // Without their own whitelists the parameters are checked against `allow`.
+          expect(
+            codeOf(objectionFind(Person).allow('firstName'), { groupBy: 'lastName' })
+          ).to.equal('PROPERTY_NOT_ALLOWED');
+          expect(
+            codeOf(objectionFind(Person).allowOrderBy('age'), {
+              firstName: 'F01',
+              groupBy: 'lastName',
+            })
+          ).to.equal(undefined);
+          expect(
+            codeOf(objectionFind(Person).allowFilter('age').allowAll(), { firstName: 'F01' })
+          ).to.equal(undefined);
+        });
+      });
+
+      describe('alias', function () {
+        const findQuery = () =>
+          objectionFind(Person).alias({
+            name: 'firstName',
+            owner: 'parent',
+            'owner.name': 'parent.firstName',
+            kids: 'children',
+          });
+        const fullNames = (result) => _.invokeMap(result, 'fullName').sort();
+
+        it('should resolve aliases of properties and relations', function () {
+          return Promise.all([
+            findQuery().build({ 'owner.name': 'F00' }),
+            findQuery().build({ 'owner.age:gt': 70 }),
+            findQuery().build({ 'name:in': 'F01,F02' }),
+            findQuery().build({ 'kids:count': 0 }),
+            findQuery().build({ 'kids.firstName:eq': 'F03' }),
+          ]).then((results) => {
+            expect(_.map(results, fullNames)).to.eql([
+              ['F01 L08'],
+              ['F09 L00'],
+              ['F01 L08', 'F02 L07'],
+              ['F09 L00'],
+              ['F02 L07'],
+            ]);
+          });
+        });
+
+        it('should order by aliases', function () {
+          return findQuery()
+            .build({ 'age:lt': 40, orderByDesc: 'owner.name' })
+            .then((result) => {
+              expect(_.map(result, 'firstName')).to.eql(['F03', 'F02', 'F01', 'F00']);
+            });
+        });
+
+        it('should check the public names against allow', function () {
+          expect(() =>
+            findQuery().allow('owner.name', 'name').build({ 'owner.name': 'F00', name: 'F01' })
+          ).to.not.throw();
+
+          expect(() =>
+            findQuery().allow('owner.name').build({ 'owner.name': 'F00', 'owner.age': 'old' })
+          )
+            .to.throw(objectionFind.FindQueryError)
+            .with.property('code', 'PROPERTY_NOT_ALLOWED');
+        });
+
+        it('should compare allow and deny by the real properties', function () {
+          const rejects = (builder, params) => {
+            expect(() => builder.build(params))
+              .to.throw(objectionFind.FindQueryError)
+              .with.property('code', 'PROPERTY_NOT_ALLOWED');
+          };
+
+          rejects(findQuery().deny('owner.firstName'), { 'parent.firstName': 'F00' });
+          rejects(findQuery().deny('owner.name'), { 'parent.firstName': 'F00' });
+          rejects(findQuery().deny('parent.firstName'), { 'owner.firstName': 'F00' });
+          rejects(findQuery().deny('parent.firstName'), { 'owner.name': 'F00' });
+          rejects(findQuery().deny('firstName'), { name: 'F00' });
+          rejects(findQuery().deny('name'), { firstName: 'F00' });
+          rejects(findQuery().deny('kids:count'), { orderBy: 'children:count' });
+
+          expect(() =>
+            findQuery()
+              .deny({ 'parent.firstName': ['like'] })
+              .build({ 'owner.name:like': 'F%' })
+          )
+            .to.throw(objectionFind.FindQueryError)
+            .with.property('code', 'FILTER_NOT_ALLOWED');
+
+          expect(() =>
+            findQuery()
+              .allow('parent.firstName', 'name')
+              .build({ 'owner.name': 'F00', firstName: 'F01' })
+          ).to.not.throw();
+        });
+
+        it('should reject the real names of aliased properties with strictAliases', function () {
+          const builder = findQuery().strictAliases();
+
+          _.each(
+            [
+              { 'parent.firstName': 'F00' },
+              { 'parent.age:gt': 1 },
+              { 'owner.firstName': 'F00' },
+              { firstName: 'F00' },
+              { 'children:count': 0 },
+              { orderBy: 'parent.age' },
+              { select: 'firstName' },
+            ],
+            (params) => {
+              expect(() => builder.build(params))
+                .to.throw(objectionFind.FindQueryError)
+                .with.property('code', 'PROPERTY_NOT_ALLOWED');
+            }
+          );
+
+          return Promise.all([
+            builder.build({ 'owner.name': 'F00' }),
+            builder.build({ 'owner.age:gt': 70, orderBy: 'lastName' }),
+            objectionFind(Person)
+              .config({ aliases: { owner: 'parent' }, strictAliases: true })
+              .build({ 'owner.firstName': 'F00' }),
+          ]).then((results) => {
+            expect(_.map(results, fullNames)).to.eql([['F01 L08'], ['F09 L00'], ['F01 L08']]);
+          });
+        });
+
+        it('should resolve aliases in relation expressions', function () {
+          const rejects = (builder, params) => {
+            expect(() => builder.build(params))
+              .to.throw(objectionFind.FindQueryError)
+              .with.property('code', 'RELATION_NOT_ALLOWED');
+          };
+
+          rejects(findQuery().allowEager('owner'), { eager: 'kids' });
+          rejects(findQuery().strictAliases(), { eager: 'parent' });
+          rejects(findQuery().strictAliases(), { join: '[pets, children]' });
+
+          return Promise.all([
+            findQuery().build({ 'id:eq': 3, eager: 'owner.children' }),
+            findQuery().build({ 'id:eq': 3, join: 'owner' }),
+            findQuery().allowEager('owner').build({ 'id:eq': 3, eager: 'parent' }),
+            findQuery().strictAliases().build({ 'owner.name': 'F01', eager: 'owner.parent' }),
+          ]).then(([eager, join, allowed, strict]) => {
+            expect(eager[0].parent.firstName).to.equal('F01');
+            expect(_.map(eager[0].parent.children, 'firstName')).to.eql(['F02']);
+            expect(join[0].parent.firstName).to.equal('F01');
+            expect(allowed[0].parent.firstName).to.equal('F01');
+            expect(strict[0].parent.parent.firstName).to.equal('F00');
+          });
+        });
+
+        it('should use the public names in errors', function () {
+          expect(() => findQuery().build({ 'owner.age:gt': 'old' }))
+            .to.throw(
+              objectionFind.FindQueryError,
+              'PropertyRef: invalid value "old" for property owner.age'
+            )
+            .with.property('propertyRef', 'owner.age');
+
+          expect(() => findQuery().build({ 'name:count': 1 }))
+            .to.throw(
+              objectionFind.FindQueryError,
+              'PropertyRef: aggregate name:count requires a to-many relation'
+            )
+            .with.property('propertyRef', 'name:count');
+        });
+      });
+
+      describe('defaults', function () {
+        const firstNames = (result) => _.map(result, 'firstName');
+
+        it('should use the default parameters the client does not give', function () {
+          const findQuery = () =>
+            objectionFind(Person).defaults({ orderByDesc: 'firstName', 'age:gte': 50 });
+
+          return Promise.all([
+            findQuery().build({}),
+            findQuery().build({ 'firstName:lte': 'F06' }),
+            findQuery().build({ 'age:lt': 30 }),
+            findQuery().build({ orderBy: 'age', 'age:lte': 60 }),
+          ]).then((results) => {
+            expect(_.map(results, firstNames)).to.eql([
+              ['F09', 'F08', 'F07', 'F06', 'F05'],
+              ['F06', 'F05'],
+              ['F02', 'F01', 'F00'],
+              ['F00', 'F01', 'F02', 'F03', 'F04', 'F05', 'F06'],
+            ]);
+          });
+        });
+
+        it('should not let the client override forced parameters', function () {
+          const findQuery = () =>
+            objectionFind(Person).defaults(
+              { orderByDesc: 'firstName', 'age:gte': 50 },
+              { forced: true }
+            );
+
+          return Promise.all([
+            findQuery().build({ 'age:lt': 70 }),
+            findQuery().build({ orderBy: 'age', 'age:lte': 60 }),
+            findQuery().build({ or: [{ 'age:lt': 20 }, { firstName: 'F09' }] }),
+          ]).then((results) => {
+            expect(_.map(results, firstNames)).to.eql([['F06', 'F05'], ['F06', 'F05'], ['F09']]);
+          });
+        });
+
+        it('should override the default filters inside groups', function () {
+          const findQuery = () => objectionFind(Person).defaults({ 'age:lt': 30 });
+
+          return Promise.all([
+            findQuery().build({ or: '[{"age:gt":70}]' }),
+            findQuery().build({ not: { and: [{ 'age:lte': 70 }] } }),
+            findQuery().build({ or: [{ firstName: 'F09' }] }),
+          ]).then((results) => {
+            expect(_.map(results, (result) => firstNames(result).sort())).to.eql([
+              ['F08', 'F09'],
+              ['F08', 'F09'],
+              [],
+            ]);
+          });
+        });
+
+        it('should replace the default range with a range of any style', function () {
+          const findQuery = () =>
+            objectionFind(Person).defaults({ orderBy: 'firstName', rangeStart: 0, rangeEnd: 1 });
+
+          return Promise.all([
+            findQuery().build({ limit: 3 }),
+            findQuery().build({ page: 1, pageSize: 4 }),
+            findQuery().build({ after: '', limit: 1 }),
+            objectionFind(Person).defaults({ orderBy: 'firstName', limit: 2 }).build({ offset: 8 }),
+          ]).then(([limit, page, cursor, offset]) => {
+            expect(firstNames(limit)).to.eql(['F00', 'F01', 'F02']);
+            expect(firstNames(page.results)).to.eql(['F04', 'F05', 'F06', 'F07']);
+            expect(firstNames(cursor.results)).to.eql(['F00']);
+            expect(firstNames(offset)).to.eql(['F08', 'F09']);
+          });
+        });
+
+        it('should not check the defaults against allow', function () {
+          return objectionFind(Person)
+            .allow('firstName')
+            .defaults({ 'age:gte': 80 })
+            .build({ 'firstName:gte': 'F00' })
+            .then((result) => {
+              expect(firstNames(result).sort()).to.eql(['F08', 'F09']);
+            });
+        });
+
+        it('should override the defaults using aliases', function () {
+          return objectionFind(Person)
+            .alias({ years: 'age' })
+            .defaults({ 'age:gte': 80 })
+            .build({ 'years:lt': 20 })
+            .then((result) => {
+              expect(firstNames(result)).to.eql(['F00', 'F01']);
+            });
+        });
+
+        it('should read the defaults from findConfig', function () {
+          const DefaultPerson = class extends Person {
+            static get findConfig() {
+              return { defaults: { orderBy: 'age' }, forcedDefaults: { 'age:lt': 30 } };
+            }
+          };
+
+          return Promise.all([
+            objectionFind(DefaultPerson).build({ 'age:gte': 0 }),
+            objectionFind(DefaultPerson, { defaults: { orderByDesc: 'age' } }).build({}),
+          ]).then((results) => {
+            expect(_.map(results, firstNames)).to.eql([
+              ['F00', 'F01', 'F02'],
+              ['F02', 'F01', 'F00'],
+            ]);
+          });
+        });
+      });
+
+      describe('scope', function () {
+        // The persons F00 - F04.
+        const findQuery = () => objectionFind(Person).where('age', '<', 50);
+        const firstNames = (result) => _.map(result, 'firstName').sort();
+
+        it('should apply the scope to the query', function () {
+          return Promise.all([
+            findQuery().build({}),
+            findQuery().build({ 'age:gte': 30 }),
+            findQuery().build({ rangeStart: 0, rangeEnd: 1 }),
+          ]).then(([all, filtered, range]) => {
+            expect(firstNames(all)).to.eql(['F00', 'F01', 'F02', 'F03', 'F04']);
+            expect(firstNames(filtered)).to.eql(['F03', 'F04']);
+            expect(range.total).to.equal(5);
+          });
+        });
+
+        it('should not let OR filters escape the scope', function () {
+          return Promise.all([
+            findQuery().build({ 'firstName|lastName': 'F07' }),
+            findQuery().build({ or: [{ 'age:gte': 0 }, { firstName: 'F08' }] }),
+            findQuery().build({ or: [{ firstName: 'F09' }, { 'age:gt': 30 }] }),
+            findQuery().build({ not: { 'age:lt': 20 } }),
+          ]).then((results) => {
+            expect(_.map(results, firstNames)).to.eql([
+              [],
+              ['F00', 'F01', 'F02', 'F03', 'F04'],
+              ['F04'],
+              ['F02', 'F03', 'F04'],
+            ]);
+          });
+        });
+
+        it('should apply the scope to relation filters and aggregates', function () {
+          return Promise.all([
+            // F05 is the child of F04 but out of the scope.
+            findQuery().build({ 'children.firstName': 'F05' }),
+            findQuery().build({ 'children:count': 0 }),
+            findQuery().build({ 'children.children:count:gt': 0 }),
+            findQuery().build({ '!children.age:gte': 0 }),
+            objectionFind(Person).build({ 'children.firstName': 'F05' }),
+          ]).then((results) => {
+            expect(_.map(results, firstNames)).to.eql([
+              [],
+              ['F04'],
+              ['F00', 'F01', 'F02'],
+              ['F04'],
+              ['F04'],
+            ]);
           });
         });
 
-        describe('orderByDesc', function () {
-          it('should order by a property in descending order', function () {
-            return objectionFind(Person)
-              .build({
-                orderByDesc: 'parent.firstName',
-              })
-              .then(function (result) {
-                // F00 doesn't have a parent, so it comes first or last depending on the database.
-                expect(_.without(_.map(result, 'firstName'), 'F00')).to.eql([
-                  'F09',
-                  'F08',
-                  'F07',
-                  'F06',
-                  'F05',
-                  'F04',
-                  'F03',
-                  'F02',
-                  'F01',
-                ]);
-                expect(_.map(result, 'firstName')).to.contain('F00');
-              });
+        it('should apply the scope to joined relations', function () {
+          const scoped = () => objectionFind(Person).where('age', '>=', 50);
+
+          return Promise.all([
+            // F04, the parent of F05, is out of the scope.
+            scoped().build({ 'parent.firstName': 'F04' }),
+            scoped().build({ 'parent.age:gte': 0 }),
+            scoped().build({ orderBy: 'parent.firstName,firstName' }),
+          ]).then(([parent, parentAge, ordered]) => {
+            expect(firstNames(parent)).to.eql([]);
+            expect(firstNames(parentAge)).to.eql(['F06', 'F07', 'F08', 'F09']);
+            expect(_.map(ordered, 'firstName')).to.have.members([
+              'F05',
+              'F06',
+              'F07',
+              'F08',
+              'F09',
+            ]);
           });
+        });
 
-          it('should order a column alias in descending order', function () {
-            return objectionFind(Animal)
-              .build({
-                orderByDesc: ['owner:parent:lastName'],
-                eager: 'owner.[parent]',
-              })
-              .eagerAlgorithm(Model.JoinEagerAlgorithm)
-              .then(function (result) {
-                const names = _.map(
-                  _.reject(result, (pet) => _.includes(pet.name, 'P0')),
-                  'name'
-                );
-                // P10 should be within the first 10 pets
-                expect(_.slice(names, 0, 10)).to.contain('P10');
-                // P99 should be within the last 10 pets
-                expect(_.slice(names, names.length - 10, names.length)).to.contain('P99');
-                expect(_.map(result, 'name')).to.contain('P00');
-              });
+        it('should apply the scope to eagerly fetched relations', function () {
+          return Promise.all([
+            findQuery().build({
+              'firstName:in': 'F03,F04',
+              orderBy: 'firstName',
+              eager: 'children',
+            }),
+            findQuery().build({
+              'firstName:in': 'F03,F04',
+              orderBy: 'firstName',
+              join: 'children',
+            }),
+          ]).then((results) => {
+            _.each(results, (result) => {
+              expect(_.map(result, (person) => firstNames(person.children))).to.eql([['F04'], []]);
+            });
+          });
+        });
+
+        it('should call the scope for the queries of every model', function () {
+          const calls = [];
+          const findQuery = () =>
+            objectionFind(Person).scope((builder, modelClass, table) => {
+              calls.push(modelClass.tableName);
+
+              if (modelClass === Animal) {
+                builder.where(table + '.name', 'like', 'P0%');
+              }
+            });
+
+          return Promise.all([
+            findQuery().build({ 'pets.name': 'P15' }),
+            findQuery().build({ 'firstName:in': 'F00,F01', orderBy: 'firstName', eager: 'pets' }),
+          ]).then(([filtered, eager]) => {
+            expect(filtered).to.eql([]);
+            expect(_.map(eager, (person) => person.pets.length)).to.eql([10, 0]);
+            expect(_.uniq(calls).sort()).to.eql(['Animal', 'Person']);
+          });
+        });
+
+        it('should read the scope from findConfig', function () {
+          const ScopedPerson = class extends Person {
+            static get findConfig() {
+              return { where: { lastName: 'L00' } };
+            }
+          };
+
+          return objectionFind(ScopedPerson)
+            .build({ 'firstName:gte': 'F00' })
+            .then((result) => {
+              expect(firstNames(result)).to.eql(['F09']);
+            });
+        });
+
+        it('should spread an array given to the where option', function () {
+          return Promise.all([
+            objectionFind(Person, { where: ['age', 90] }).build({}),
+            objectionFind(Person, { where: ['age', '<', 20] }).build({}),
+          ]).then((results) => {
+            expect(_.map(results, firstNames)).to.eql([['F09'], ['F00', 'F01']]);
           });
         });
       });
 
-      describe('range', function () {
-        it('should only select the given range', function () {
-          return objectionFind(Person)
-            .build({
-              'firstName:gte': 'F04',
-              rangeStart: '2',
-              rangeEnd: '4',
-            })
-            .then(function (result) {
-              expect(result.total).to.equal(6);
-              expect(_.map(result.results, 'firstName')).to.eql(['F06', 'F07', 'F08']);
+      describe('findConfig', function () {
+        let ConfiguredPerson;
+
+        before(() => {
+          ConfiguredPerson = class extends Person {
+            static get findConfig() {
+              return {
+                allow: ['name', 'parent.firstName', { age: ['lt', 'gt'] }],
+                allowEager: 'parent',
+                filters: {
+                  firstNameIs: (propertyRef, value) => ({
+                    method: 'where',
+                    args: [propertyRef.fullColumnName(), value],
+                  }),
+                },
+                aliases: { name: 'firstName' },
+              };
+            }
+          };
+        });
+
+        it('should use the configuration of the model', function () {
+          return objectionFind(ConfiguredPerson)
+            .build({ 'name:firstNameIs': 'F03', 'age:gt': 20, eager: 'parent' })
+            .then((result) => {
+              expect(_.map(result, 'firstName')).to.eql(['F03']);
+              expect(result[0].parent.firstName).to.equal('F02');
             });
         });
 
-        it('should throw if rangeStart or rangeEnd cannot be parsed to integer', function () {
-          expect(function () {
-            objectionFind(Person).build({
-              'firstName:gte': 'F04',
-              rangeStart: 'X',
-              rangeEnd: '4',
+        it('should check the parameters against the configuration of the model', function () {
+          expect(() => objectionFind(ConfiguredPerson).build({ lastName: 'L00' }))
+            .to.throw(objectionFind.FindQueryError)
+            .with.property('code', 'PROPERTY_NOT_ALLOWED');
+
+          expect(() => objectionFind(ConfiguredPerson).build({ 'age:eq': 20 }))
+            .to.throw(objectionFind.FindQueryError)
+            .with.property('code', 'FILTER_NOT_ALLOWED');
+        });
+
+        it('should override the configuration of the model with the given options', function () {
+          const findQuery = () =>
+            objectionFind(ConfiguredPerson, {
+              allow: ['surname'],
+              aliases: { surname: 'lastName' },
             });
-          })
-            .to.throw(Error)
-            .with.property('statusCode', 400);
 
-          expect(function () {
-            objectionFind(Person).build({
-              'firstName:gte': 'F04',
-              rangeStart: '2',
-              rangeEnd: 'X',
+          expect(() => findQuery().build({ 'name:eq': 'F00' }))
+            .to.throw(objectionFind.FindQueryError)
+            .with.property('code', 'PROPERTY_NOT_ALLOWED');
+
+          return findQuery()
+            .build({ surname: 'L00' })
+            .then((result) => {
+              expect(_.map(result, 'firstName')).to.eql(['F09']);
             });
-          })
-            .to.throw(Error)
-            .with.property('statusCode', 400);
         });
-      });
 
-      describe('allow', function () {
-        it('should not throw is only allowed properties are used', function () {
-          expect(function () {
-            objectionFind(Person).allow('parent.firstName', 'movies.name').build({
-              'movies.name': 'test',
-              orderBy: 'parent.firstName',
+        it('should merge the filters and aliases with the given options', function () {
+          return objectionFind(ConfiguredPerson, { aliases: { surname: 'lastName' }, allow: null })
+            .build({ 'name:firstNameIs': 'F01', surname: 'L08' })
+            .then((result) => {
+              expect(_.map(result, 'firstName')).to.eql(['F01']);
             });
-          }).to.not.throw();
+        });
 
-          expect(function () {
-            objectionFind(Person)
-              .allow('parent.firstName')
-              // This should allow everything again.
-              .allowAll(true)
-              .build({
-                'movies.name': 'test',
-                orderBy: 'parent.firstName',
-              });
-          }).to.not.throw();
+        it('should extend the configuration of the model with the builder methods', function () {
+          return objectionFind(ConfiguredPerson)
+            .allow('lastName')
+            .build({ lastName: 'L07', 'parent.firstName': 'F01' })
+            .then((result) => {
+              expect(_.map(result, 'firstName')).to.eql(['F02']);
+            });
         });
 
-        it('should throw if using a property reference that is not allowed', function () {
-          expect(function () {
-            objectionFind(Person).allow('firstName').build({ lastName: 'test' });
-          })
-            .to.throw(Error)
-            .with.property('statusCode', 400);
+        it('should apply the aliases before the whitelists', function () {
+          const AliasedPerson = class extends Person {
+            static get findConfig() {
+              return {
+                allow: ['owner.firstName', 'firstName'],
+                aliases: { owner: 'parent' },
+              };
+            }
+          };
+          const AllowingPerson = class extends Person {
+            static get findConfig() {
+              return { allow: ['owner.firstName'] };
+            }
+          };
 
-          expect(function () {
-            objectionFind(Person).allow('firstName').build({ orderBy: 'lastName' });
-          })
-            .to.throw(Error)
-            .with.property('statusCode', 400);
+          return Promise.all([
+            objectionFind(AliasedPerson).build({ 'owner.firstName': 'F02' }),
+            objectionFind(AllowingPerson, { aliases: { owner: 'parent' } }).build({
+              'owner.firstName': 'F05',
+            }),
+          ]).then((results) => {
+            expect(_.map(results, (result) => _.map(result, 'firstName'))).to.eql([
+              ['F03'],
+              ['F06'],
+            ]);
+          });
+        });
+
+        it('should add the scopes of the given options to the scopes of the model', function () {
+          const ScopedPerson = class extends Person {
+            static get findConfig() {
+              return {
+                scope: (builder, modelClass, table) => builder.where(table + '.age', '>=', 30),
+              };
+            }
+          };
+          const firstNames = (result) => _.map(result, 'firstName').sort();
+
+          return Promise.all([
+            objectionFind(ScopedPerson, {
+              scope: (builder, modelClass, table) => builder.where(table + '.age', '<', 60),
+            }).build({}),
+            objectionFind(ScopedPerson, { where: { lastName: 'L05' } }).build({ 'age:lt': 80 }),
+            objectionFind(ScopedPerson, { scope: null, where: null }).build({ 'age:lt': 40 }),
+          ]).then((results) => {
+            expect(_.map(results, firstNames)).to.eql([['F03', 'F04', 'F05'], ['F04'], ['F03']]);
+          });
+        });
+
+        it('should throw for unknown options', function () {
+          expect(() => objectionFind(Person, { alow: ['firstName'] })).to.throw(
+            'config: unknown option "alow"'
+          );
         });
       });
 
@@ -555,18 +2928,161 @@ describe('integration tests', () => {
             });
         });
 
-        it('should pass allowEager to the query builder', function (done) {
+        it('should pass allowEager to the query builder', function () {
           const findQuery = objectionFind(Person).allowEager('parent');
           expect(findQuery.allowEager()).to.equal('parent');
-          findQuery
-            .build({
+          expect(() =>
+            findQuery.build({
               'id:eq': 5,
               eager: 'parent.[movies, pets]',
             })
-            .catch(function () {
-              done();
+          )
+            .to.throw(objectionFind.FindQueryError, 'not allowed')
+            .with.property('code', 'RELATION_NOT_ALLOWED');
+        });
+
+        it('should throw for invalid relation expressions', function () {
+          expect(() => objectionFind(Person).build({ eager: '[parent' }))
+            .to.throw(objectionFind.FindQueryError)
+            .with.property('code', 'INVALID_RELATION_EXPRESSION');
+
+          expect(() => objectionFind(Person).build({ join: 'parent.foo' }))
+            .to.throw(objectionFind.FindQueryError, 'unknown relation "parent.foo"')
+            .with.property('code', 'UNKNOWN_RELATION');
+
+          expect(() => objectionFind(Person).allowEager('[parent')).to.throw(
+            'allowEager: invalid relation expression "[parent"'
+          );
+        });
+      });
+
+      describe('select', function () {
+        const keys = (model) => _.keys(_.omitBy(model.toJSON(), _.isObject)).sort();
+
+        it('should select the given properties and the identifiers', function () {
+          return objectionFind(Person)
+            .build({ select: 'firstName, age', 'id:eq': 3 })
+            .then(function (result) {
+              expect(result).to.have.length(1);
+              expect(keys(result[0])).to.eql(['age', 'firstName', 'id', 'pid']);
+              expect(result[0].firstName).to.equal('F02');
+            });
+        });
+
+        it('should select the properties of eagerly fetched relations', function () {
+          return objectionFind(Person)
+            .build({
+              select: 'firstName,parent.lastName,pets.name,movies.name',
+              'id:eq': 3,
+              eager: '[parent, pets, movies]',
+            })
+            .then(function (result) {
+              const person = result[0];
+
+              expect(keys(person)).to.eql(['firstName', 'id', 'pid']);
+              expect(keys(person.parent)).to.eql(['id', 'lastName', 'pid']);
+              expect(person.parent.lastName).to.equal('L08');
+              expect(person.pets).to.have.length(10);
+              expect(keys(person.pets[0])).to.eql(['id', 'name', 'ownerId']);
+              expect(person.movies).to.have.length(10);
+              expect(keys(person.movies[0])).to.eql(['id', 'name']);
+            });
+        });
+
+        it('should select the properties of nested relations', function () {
+          return objectionFind(Person)
+            .build({
+              select: 'parent.parent.age',
+              'id:eq': 3,
+              eager: 'parent.parent',
+            })
+            .then(function (result) {
+              const person = result[0];
+
+              expect(person.lastName).to.equal('L07');
+              expect(person.parent.lastName).to.equal('L08');
+              expect(keys(person.parent.parent)).to.eql(['age', 'id', 'pid']);
+              expect(person.parent.parent.age).to.equal(0);
+            });
+        });
+
+        it('should select only the given properties when filtering by relations', function () {
+          return objectionFind(Person)
+            .build({ select: 'lastName', 'parent.firstName:eq': 'F01', orderBy: 'parent.age' })
+            .then(function (result) {
+              expect(result).to.have.length(1);
+              expect(keys(result[0])).to.eql(['id', 'lastName', 'parentAge', 'pid']);
+            });
+        });
+
+        it('should select the ordering properties with cursors', function () {
+          return objectionFind(Person)
+            .build({ select: 'firstName', orderBy: 'age', limit: 2, after: '' })
+            .then(function (page) {
+              expect(keys(page.results[0])).to.eql(['age', 'firstName', 'id', 'pid']);
+
+              return objectionFind(Person).build({
+                select: 'firstName',
+                orderBy: 'age',
+                limit: 2,
+                after: page.nextCursor,
+              });
+            })
+            .then(function (page) {
+              expect(_.map(page.results, 'firstName')).to.eql(['F02', 'F03']);
+            });
+        });
+
+        it('should fail if the property is not allowed', function () {
+          const findQuery = objectionFind(Person)
+            .allow('age')
+            .allowSelect('firstName', 'pets.name');
+
+          expect(() =>
+            findQuery.build({ select: 'firstName,pets.name', 'age:gt': 10, eager: 'pets' })
+          ).to.not.throw();
+          expect(() => findQuery.build({ select: 'firstName,lastName' }))
+            .to.throw(objectionFind.FindQueryError)
+            .with.property('propertyRef', 'lastName');
+          expect(() => findQuery.build({ 'firstName:eq': 'F00' }))
+            .to.throw(objectionFind.FindQueryError)
+            .with.property('code', 'PROPERTY_NOT_ALLOWED');
+        });
+
+        it('should fail with invalid select', function () {
+          expect(() => objectionFind(Person).build({ select: 'firstName,,age' }))
+            .to.throw(objectionFind.FindQueryError)
+            .with.property('key', 'select');
+          expect(() => objectionFind(Person).build({ select: 'pets:count' }))
+            .to.throw(objectionFind.FindQueryError)
+            .with.property('propertyRef', 'pets:count');
+        });
+
+        it('should fail if the selected relation is not fetched', function () {
+          expect(() => objectionFind(Person).build({ select: 'firstName,parent.firstName' }))
+            .to.throw(objectionFind.FindQueryError, 'without fetching the relation')
+            .with.property('code', 'INVALID_SELECT');
+          expect(() =>
+            objectionFind(Person).build({ select: 'parent.parent.age', eager: '[parent, pets]' })
+          )
+            .to.throw(objectionFind.FindQueryError)
+            .with.property('propertyRef', 'parent.parent.age');
+
+          return objectionFind(Person)
+            .build({ select: 'firstName,parent.firstName', 'id:eq': 3, join: 'parent' })
+            .then(function (result) {
+              expect(result[0].parent.firstName).to.equal('F01');
             });
         });
+
+        it('should fail with groupBy and count', function () {
+          expect(() => objectionFind(Person).build({ select: 'firstName', groupBy: 'firstName' }))
+            .to.throw(objectionFind.FindQueryError, 'Select cannot be combined with "groupBy"')
+            .with.property('code', 'INVALID_SELECT');
+          expect(() => objectionFind(Person).build({ select: 'firstName', count: '*' }))
+            .to.throw(objectionFind.FindQueryError)
+            .with.property('code', 'INVALID_SELECT');
+        });
       });
 
       describe('custom filters', function () {
@@ -707,6 +3223,22 @@ describe('integration tests', () => {
               expect(result[2].lastName).to.be.a('string');
             });
         });
+
+        it('should group by property references', function () {
+          return objectionFind(Person)
+            .build({ 'age:lt': 30, groupBy: 'age', orderBy: 'age' })
+            .then((result) => {
+              expect(_.map(result, 'age')).to.eql([0, 10, 20]);
+            });
+        });
+
+        it('should fail with invalid grouping', function () {
+          _.each(['parent.lastName', 'pets:count', 'firstName,', 'foo.bar'], (groupBy) => {
+            expect(() => objectionFind(Person).build({ groupBy }))
+              .to.throw(objectionFind.FindQueryError)
+              .with.property('key', 'groupBy');
+          });
+        });
       });
 
       describe('parse errors', function () {
@@ -751,6 +3283,200 @@ describe('integration tests', () => {
             .to.throw(Error)
             .with.property('statusCode', 400);
         });
+
+        describe('errors', function () {
+          function catchError(fn) {
+            try {
+              fn();
+            } catch (err) {
+              return err;
+            }
+
+            throw new Error('should have thrown');
+          }
+
+          it('should throw a FindQueryError', function () {
+            const err = catchError(() => objectionFind(Person).build({ 'age:foo': '10' }));
+
+            expect(err).to.be.an.instanceof(objectionFind.FindQueryError);
+            expect(err.name).to.equal('FindQueryError');
+            expect(err.statusCode).to.equal(400);
+            expect(err.code).to.equal(objectionFind.FindQueryError.codes.INVALID_FILTER);
+            expect(err.key).to.equal('age:foo');
+            expect(err.value).to.equal('10');
+          });
+
+          it('should tell the unknown relation', function () {
+            let err = catchError(() => objectionFind(Person).build({ 'foo.name:eq': 'x' }));
+
+            expect(err.code).to.equal('UNKNOWN_RELATION');
+            expect(err.key).to.equal('foo.name:eq');
+            expect(err.propertyRef).to.equal('foo.name');
+
+            err = catchError(() => objectionFind(Person).build({ orderBy: 'age,parent.foo.age' }));
+
+            expect(err.code).to.equal('UNKNOWN_RELATION');
+            expect(err.key).to.equal('orderBy');
+            expect(err.value).to.equal('age,parent.foo.age');
+            expect(err.propertyRef).to.equal('parent.foo.age');
+          });
+
+          it('should tell the invalid value', function () {
+            const err = catchError(() =>
+              objectionFind(Person).build({ 'parent.age:gt': 'old' }).toKnexQuery()
+            );
+
+            expect(err.code).to.equal('INVALID_VALUE');
+            expect(err.key).to.equal('parent.age:gt');
+            expect(err.value).to.equal('old');
+            expect(err.propertyRef).to.equal('parent.age');
+          });
+
+          it('should tell the not allowed property', function () {
+            const err = catchError(() =>
+              objectionFind(Person).allow('firstName').build({ 'lastName:eq': 'L00' })
+            );
+
+            expect(err.code).to.equal('PROPERTY_NOT_ALLOWED');
+            expect(err.key).to.equal('lastName:eq');
+            expect(err.propertyRef).to.equal('lastName');
+          });
+
+          it('should tell the failed parameter inside a group', function () {
+            const err = catchError(() =>
+              objectionFind(Person).build({ or: [{ 'age:lt': 10 }, { 'pets.foo.name': 'x' }] })
+            );
+
+            expect(err.code).to.equal('UNKNOWN_RELATION');
+            expect(err.key).to.equal('pets.foo.name');
+            expect(err.propertyRef).to.equal('pets.foo.name');
+          });
+
+          it('should tell the invalid range and cursor', function () {
+            let err = catchError(() =>
+              objectionFind(Person).build({ rangeStart: '0', rangeEnd: 'x' })
+            );
+
+            expect(err.code).to.equal('INVALID_RANGE');
+            expect(err.key).to.equal('rangeEnd');
+            expect(err.message).to.equal('Invalid range start or end "0 - x"');
+
+            err = catchError(() => objectionFind(Person).build({ orderBy: 'age', after: 'foo' }));
+
+            expect(err.code).to.equal('INVALID_CURSOR');
+            expect(err.key).to.equal('after');
+          });
+
+          it('should be serializable', function () {
+            const err = catchError(() => objectionFind(Person).build({ 'pets:count:lt': 'x' }));
+
+            expect(JSON.parse(JSON.stringify(err))).to.eql({
+              code: 'INVALID_VALUE',
+              message: 'PropertyRef: invalid value "x" for property pets:count',
+              key: 'pets:count:lt',
+              value: 'x',
+              propertyRef: 'pets:count',
+            });
+          });
+        });
+
+        describe('validate', function () {
+          const params = {
+            'firstName:eq': 'F00',
+            'age:gt': 'old',
+            'foo.name': 'x',
+            'lastName:bar': 'L00',
+            orderBy: 'pets.name',
+            'parent.age:in': ['10', 'x'],
+          };
+
+          it('should return all errors', function () {
+            const errors = objectionFind(Person).validate(params);
+
+            expect(_.map(errors, (err) => [err.code, err.key])).to.eql([
+              ['UNKNOWN_RELATION', 'foo.name'],
+              ['INVALID_FILTER', 'lastName:bar'],
+              ['INVALID_VALUE', 'age:gt'],
+              ['INVALID_VALUE', 'parent.age:in'],
+              ['INVALID_ORDER_BY', 'orderBy'],
+            ]);
+            expect(errors[0]).to.be.an.instanceof(objectionFind.FindQueryError);
+          });
+
+          it('should return the errors of relation expressions', function () {
+            const errors = objectionFind(Person)
+              .allowEager('[parent, pets]')
+              .validate({ eager: '[foo', join: 'movies', 'age:gt': 'x' });
+
+            expect(_.map(errors, (err) => [err.code, err.key])).to.eql([
+              ['INVALID_RELATION_EXPRESSION', 'eager'],
+              ['RELATION_NOT_ALLOWED', 'join'],
+              ['INVALID_VALUE', 'age:gt'],
+            ]);
+            expect(() => objectionFind(Person).collectErrors().build({ eager: 'foo' }))
+              .to.throw(objectionFind.FindQueryError)
+              .with.nested.property('errors[0].code', 'UNKNOWN_RELATION');
+          });
+
+          it('should return not allowed properties', function () {
+            const errors = objectionFind(Person)
+              .allow('firstName', 'age')
+              .validate({ 'firstName:eq': 'F00', 'lastName:eq': 'L00', 'age|parent.age:lt': 20 });
+
+            expect(_.map(errors, (err) => [err.code, err.propertyRef])).to.eql([
+              ['PROPERTY_NOT_ALLOWED', 'lastName'],
+              ['PROPERTY_NOT_ALLOWED', 'parent.age'],
+            ]);
+          });
+
+          it('should return an empty list for valid parameters', function () {
+            expect(
+              objectionFind(Person).validate({
+                'age:gt': '10',
+                orderBy: 'pets:count',
+                rangeStart: 0,
+                rangeEnd: 5,
+              })
+            ).to.eql([]);
+          });
+
+          it('should make build throw all errors with collectErrors', function () {
+            let err = null;
+
+            try {
+              objectionFind(Person).collectErrors().build(params);
+            } catch (e) {
+              err = e;
+            }
+
+            expect(err).to.be.an.instanceof(objectionFind.FindQueryError);
+            expect(err.statusCode).to.equal(400);
+            expect(err.code).to.equal('INVALID_PARAMETERS');
+            expect(_.map(err.errors, 'key')).to.eql([
+              'foo.name',
+              'lastName:bar',
+              'age:gt',
+              'parent.age:in',
+              'orderBy',
+            ]);
+            expect(_.map(err.toJSON().errors, 'code')).to.eql([
+              'UNKNOWN_RELATION',
+              'INVALID_FILTER',
+              'INVALID_VALUE',
+              'INVALID_VALUE',
+              'INVALID_ORDER_BY',
+            ]);
+          });
+
+          it('should build normally with collectErrors if there are no errors', function () {
+            return objectionFind(Person)
+              .collectErrors()
+              .build({ 'age:gt': '60', orderBy: 'age' })
+              .then((result) => {
+                expect(_.map(result, 'age')).to.eql([70, 80, 90]);
+              });
+          });
+        });
       });
 
       describe('mixtures', function () {
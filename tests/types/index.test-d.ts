@@ -1,5 +1,10 @@
 import { expectType } from 'tsd';
-import findQuery, { findQuery as findQueryNamed, FindQueryBuilder } from '../../';
+import findQuery, {
+  findQuery as findQueryNamed,
+  FindQueryBuilder,
+  FindQueryError,
+  FindQueryErrorCode,
+} from '../../';
 import findQueryDefault from '../../';
 import * as findQueryStar from '../../';
 import findQueryCjsImport = require('../../');
@@ -42,3 +47,61 @@ findQuery(Movie).build({}, Movie.query().findById(1));
 
 expectType<NumberQueryBuilder<QueryBuilder<Movie>>>(Movie.query().update());
 findQuery(Movie).build({}, Movie.query().update());
+
+const error = new FindQueryError('Invalid', { code: 'INVALID_FILTER', key: 'id:foo' });
+expectType<FindQueryErrorCode>(error.code);
+expectType<string | null>(error.key);
+expectType<number>(error.statusCode);
+expectType<'PROPERTY_NOT_ALLOWED'>(FindQueryError.codes.PROPERTY_NOT_ALLOWED);
+expectType<FindQueryError[]>(findQuery(Movie).validate({ 'id:eq': 'x' }));
+findQuery(Movie).collectErrors().build({ 'id:eq': 5 });
+expectType<FindQueryError[] | null>(FindQueryError.fromErrors([error]).errors);
+findQuery(Movie).allowSelect('name').build({ select: 'name' });
+findQuery(Movie).searchProperties(['name'], { orderByRelevance: true }).build({ q: 'gump' });
+findQuery(Movie).registerFilter('jsonEq', (propertyRef, value) => {
+  expectType<boolean>(propertyRef.isJson());
+  return { method: 'where', args: [propertyRef.jsonValue(), '=', value] };
+});
+findQuery(Movie)
+  .clock(() => new Date('2020-10-29T12:00:00Z'))
+  .registerFilter('since', (propertyRef, value) => {
+    expectType<Date>(propertyRef.now());
+    return {
+      method: 'where',
+      args: [propertyRef.fullColumnName(), '>=', propertyRef.coerceDate(value)],
+    };
+  });
+findQuery(Movie)
+  .allow('id', ['name'], { 'parent.name': ['eq', 'in'] })
+  .deny({ name: 'likeLower' })
+  .build({ 'name:eq': 'Gump' });
+findQuery(Movie)
+  .allowFilter('name', { id: ['eq', 'in'] })
+  .allowOrderBy(['name', 'id'])
+  .allowGroupBy('name')
+  .build({ orderBy: 'name' });
+findQuery(Movie).alias({ title: 'name' }).allow('title').build({ 'title:eq': 'Gump' });
+findQuery(Movie).alias({ title: 'name' }).strictAliases().build({ 'title:eq': 'Gump' });
+findQuery(Movie, {
+  allow: ['name', { id: ['eq'] }],
+  allowEager: 'actors',
+  aliases: { title: 'name' },
+  strictAliases: true,
+})
+  .config({ searchProperties: { properties: ['name'], orderByRelevance: true }, allow: null })
+  .build({ q: 'gump' });
+findQuery(Movie).defaultRange(20).maxRange(100, { clamp: true }).build({ limit: 10, offset: 20 });
+findQuery(Movie, { defaultRange: 20, maxRange: { size: 100, clamp: true } });
+findQuery(Movie).specialParameter('pageSize', 'perPage').build({ page: 1, perPage: 20 });
+findQuery(Movie, { forcedDefaults: { 'id:gt': 0 } })
+  .defaults({ orderBy: 'id' })
+  .defaults({ 'name:notNull': '' }, { forced: true })
+  .build({});
+findQuery(Movie, { where: { name: 'Gump' } })
+  .where('id', '>', 0)
+  .scope((builder, modelClass, table) => {
+    expectType<string>(table);
+    builder.where(table + '.id', '>', 0);
+  })
+  .build({});
+findQuery(Movie, { where: ['id', '>', 0] }).build({});
@@ -59,6 +59,14 @@ module.exports = {
               'CREATE INDEX "animal_name_wildcard_index" ON "Animal" USING btree ("name" varchar_pattern_ops)'
             )
           );
+        } else if (session.config.client === 'mysql') {
+          // Indexes for the full-text `search` filter and the `q` parameter.
+          return Promise.join(
+            session.knex.raw('ALTER TABLE `Person` ADD FULLTEXT (`firstName`, `lastName`)'),
+            session.knex.raw('ALTER TABLE `Person` ADD FULLTEXT (`firstName`)'),
+            session.knex.raw('ALTER TABLE `Person` ADD FULLTEXT (`lastName`)'),
+            session.knex.raw('ALTER TABLE `Animal` ADD FULLTEXT (`name`)')
+          );
         }
       });
   },
@@ -141,6 +149,19 @@ function createModels(knex) {
     static get tableName() {
       return 'Person';
     }
+
+    static get jsonSchema() {
+      return {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          pid: { type: ['integer', 'null'] },
+          age: { type: 'integer' },
+          firstName: { type: 'string' },
+          lastName: { type: 'string' },
+        },
+      };
+    }
   }
   class Animal extends objection.Model {
     static get tableName() {
@@ -171,6 +192,15 @@ function createModels(knex) {
       },
     },
 
+    children: {
+      relation: objection.HasManyRelation,
+      modelClass: Person,
+      join: {
+        from: 'Person.id',
+        to: 'Person.pid',
+      },
+    },
+
     pets: {
       relation: objection.HasManyRelation,
       modelClass: Animal,